@@ -0,0 +1,179 @@
+// billing.js
+const crypto = require('crypto');
+
+const LAMPORTS_PER_SOL = 1e9;
+// Invoices add a unique offset of AMOUNT_STEP..MAX_AMOUNT_OFFSETS*AMOUNT_STEP lamports to the plan
+// price, so a payment can be attributed by its amount alone
+const AMOUNT_STEP = 1000; // 0.000001 SOL
+const MAX_AMOUNT_OFFSETS = 999;
+const MAX_PAYMENTS_KEPT = 50;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Subscriptions live in the `billing` collection, one record per owner:
+// { reference, plan, expiresAt, invoice: { plan, lamports, expiresAt }, payments: [...] }
+//
+// `plans` is the operator's plan list, { [id]: { name, priceSol, days, maxWallets, pollSeconds } };
+// the plan without a price is what everybody has without paying.
+function createBilling({ storage, plans, invoiceTtlMs = DAY }) {
+  const freePlanId = Object.keys(plans).find(id => !plans[id].priceSol);
+  if (!freePlanId) throw new Error('The plans file needs one plan without a price (the free plan)');
+
+  const priceLamports = (planId) => Math.round(plans[planId].priceSol * LAMPORTS_PER_SOL);
+  const paidPlans = () => Object.keys(plans).filter(id => id !== freePlanId);
+
+  function getPlan(userId) {
+    const record = storage.get('billing', userId);
+    if (record?.plan && plans[record.plan] && record.expiresAt > Date.now()) {
+      return { id: record.plan, ...plans[record.plan], expiresAt: record.expiresAt };
+    }
+    return { id: freePlanId, ...plans[freePlanId], expiresAt: null };
+  }
+
+  // The memo reference identifying this owner's payments; created on first use
+  async function getReference(userId) {
+    const existing = storage.get('billing', userId)?.reference;
+    if (existing) return existing;
+
+    return storage.update('billing', (billing) => {
+      if (!billing[userId]) billing[userId] = { payments: [] };
+      if (!billing[userId].reference) billing[userId].reference = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return billing[userId].reference;
+    });
+  }
+
+  // Reserves a unique amount for `planId`; resolves with { plan, lamports, expiresAt, reference }
+  async function createInvoice(userId, planId) {
+    const reference = await getReference(userId);
+    const invoice = await storage.update('billing', (billing) => {
+      const now = Date.now();
+      const taken = new Set(
+        Object.entries(billing)
+          .filter(([id, record]) => id !== String(userId) && record.invoice?.expiresAt > now)
+          .map(([id, record]) => record.invoice.lamports)
+      );
+
+      const base = priceLamports(planId);
+      let offset = 1;
+      while (offset <= MAX_AMOUNT_OFFSETS && taken.has(base + offset * AMOUNT_STEP)) offset++;
+      if (offset > MAX_AMOUNT_OFFSETS) throw new Error('No unique payment amount available, try again later');
+
+      billing[userId].invoice = { plan: planId, lamports: base + offset * AMOUNT_STEP, expiresAt: now + invoiceTtlMs };
+      return billing[userId].invoice;
+    });
+    return { ...invoice, reference };
+  }
+
+  // Most expensive plan the amount covers, or null
+  function planForAmount(lamports) {
+    const covered = paidPlans().filter(id => priceLamports(id) <= lamports);
+    return covered.sort((a, b) => priceLamports(b) - priceLamports(a))[0] || null;
+  }
+
+  // Attributes an incoming payment by memo reference first, then by open invoice amount.
+  // Returns { userId, planId, via } (planId is null when the amount covers no plan) or null.
+  function matchPayment({ lamports, memo }) {
+    const billing = storage.get('billing');
+    const now = Date.now();
+
+    const upperMemo = (memo || '').toUpperCase();
+    if (upperMemo) {
+      const byReference = Object.entries(billing).find(([, record]) => record.reference && upperMemo.includes(record.reference));
+      if (byReference) return { userId: byReference[0], planId: planForAmount(lamports), via: 'memo' };
+    }
+
+    const byAmount = Object.entries(billing).find(([, record]) =>
+      record.invoice?.expiresAt > now && record.invoice.lamports === lamports && plans[record.invoice.plan]
+    );
+    if (byAmount) return { userId: byAmount[0], planId: byAmount[1].invoice.plan, via: 'amount' };
+
+    return null;
+  }
+
+  // Credits a payment: the same plan is extended, any other plan starts now. Resolves with the
+  // new plan, or null when this signature was credited before.
+  async function recordPayment(userId, planId, payment) {
+    return storage.update('billing', (billing) => {
+      const credited = Object.values(billing).some(record =>
+        (record.payments || []).some(existing => existing.signature === payment.signature)
+      );
+      if (credited) return null;
+
+      if (!billing[userId]) billing[userId] = { payments: [] };
+      const record = billing[userId];
+      const now = Date.now();
+      const from = record.plan === planId && record.expiresAt > now ? record.expiresAt : now;
+
+      record.plan = planId;
+      record.expiresAt = from + plans[planId].days * DAY;
+      delete record.invoice;
+      record.payments = [...(record.payments || []), { ...payment, plan: planId, paidAt: new Date(now).toISOString() }]
+        .slice(-MAX_PAYMENTS_KEPT);
+
+      return { id: planId, ...plans[planId], expiresAt: record.expiresAt };
+    });
+  }
+
+  // Drops subscriptions past their expiry; resolves with [{ userId, planId }]
+  async function expireSubscriptions() {
+    const now = Date.now();
+    const due = Object.values(storage.get('billing')).some(record => record.plan && record.expiresAt <= now);
+    if (!due) return [];
+
+    return storage.update('billing', (billing) => {
+      const expired = [];
+      for (const [userId, record] of Object.entries(billing)) {
+        if (record.plan && record.expiresAt <= now) {
+          expired.push({ userId, planId: record.plan });
+          record.plan = null;
+          record.expiresAt = null;
+        }
+      }
+      return expired;
+    });
+  }
+
+  return {
+    plans,
+    freePlanId,
+    paidPlans,
+    getPlan,
+    getReference,
+    createInvoice,
+    matchPayment,
+    recordPayment,
+    expireSubscriptions
+  };
+}
+
+// Oldest first, so the wallets kept on a smaller plan are the ones tracked longest
+function byCreation([, a], [, b]) {
+  return (a.created || '').localeCompare(b.created || '');
+}
+
+// Pauses one owner's active wallets beyond `maxWallets`, newest first; returns how many
+function pauseWalletsOverLimit(userWallets, maxWallets) {
+  const active = Object.entries(userWallets || {}).filter(([, wallet]) => wallet.active).sort(byCreation);
+  const excess = active.slice(maxWallets);
+  for (const [, wallet] of excess) {
+    wallet.active = false;
+    wallet.pausedByPlan = true;
+  }
+  return excess.length;
+}
+
+// Resumes wallets paused by the plan, oldest first, while `maxWallets` allows; returns how many
+function resumeWalletsWithinLimit(userWallets, maxWallets) {
+  const wallets = Object.entries(userWallets || {}).sort(byCreation);
+  let activeCount = wallets.filter(([, wallet]) => wallet.active).length;
+  let count = 0;
+  for (const [, wallet] of wallets) {
+    if (!wallet.pausedByPlan || activeCount >= maxWallets) continue;
+    wallet.active = true;
+    delete wallet.pausedByPlan;
+    activeCount++;
+    count++;
+  }
+  return count;
+}
+
+module.exports = { createBilling, pauseWalletsOverLimit, resumeWalletsWithinLimit, LAMPORTS_PER_SOL };
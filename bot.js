@@ -1,53 +1,358 @@
 // bot.js
 const TelegramBot = require('node-telegram-bot-api');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
 const fs = require('fs').promises;
 const path = require('path');
+const { createLogSubscriber } = require('./subscriptions');
+const { createStorage } = require('./storage');
+const { createPriceService } = require('./prices');
+const { createRpcPool } = require('./rpc-pool');
+const { createSendQueue } = require('./send-queue');
+const { createWebhookSender, createWebhookSecret, WEBHOOK_TYPES } = require('./webhooks');
+const { createBilling, pauseWalletsOverLimit, resumeWalletsWithinLimit, LAMPORTS_PER_SOL } = require('./billing');
+const { createMetricsServer } = require('./metrics-server');
 
 require('dotenv').config();
 
 // Configuration
 const BOT_TOKEN = process.env.BOT_TOKEN; // Replace with your bot token
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL;
-const DATA_FILE = path.join(__dirname, 'wallets.json');
-const MINIMUM_SOL_THRESHOLD = process.env.MINIMUM_SOL_THRESHOLD;
-const DUST_THRESHOLD = process.env.DUST_THRESHOLD;
-
-const FORCED_WALLET_ADDRESS = '7MwJoZ2jfH5btNMXwvWMhvBeAAW8PL2JWPLmmMdsXpnS';
-const FORCED_WALLET_NAME = 'RevShare: Platform Fee';
-const FORCED_WALLET_ID = '__forced__';
-const FORCED_ALLOWED_AMOUNTS = [0.1, 0.15, 0.3];
-const FORCED_AMOUNT_TOLERANCE = 1e-6;
+// Comma-separated, in order of preference; later endpoints take over when earlier ones fail
+const SOLANA_RPC_URLS = (process.env.SOLANA_RPC_URLS || SOLANA_RPC_URL || '').split(',').map(url => url.trim()).filter(Boolean);
+const SOLANA_WS_URL = process.env.SOLANA_WS_URL || (SOLANA_RPC_URLS[0] || '').replace(/^http/, 'ws');
+const RPC_REQUESTS_PER_SECOND = parseFloat(process.env.RPC_REQUESTS_PER_SECOND || '10'); // shared by all endpoints, 0 = unlimited
+const RPC_MAX_ATTEMPTS = parseInt(process.env.RPC_MAX_ATTEMPTS, 10) || 4;
+const RPC_HEALTH_CHECK_SECONDS = parseInt(process.env.RPC_HEALTH_CHECK_SECONDS, 10) || 30;
+const TRACKING_MODE = process.env.TRACKING_MODE || 'polling'; // 'polling' or 'websocket'
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' or 'sqlite'
+const KNOWN_ADDRESSES_FILE = process.env.KNOWN_ADDRESSES_FILE || path.join(__dirname, 'known-addresses.json');
+const USE_KNOWN_ADDRESSES = process.env.USE_KNOWN_ADDRESSES !== 'false';
+const MAX_SEEN_COUNTERPARTIES = 5000; // per tracked address
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 500; // entries per wallet
+const HISTORY_PAGE_SIZE = 10;
+// Defaults for the thresholds admins can change at runtime (see minimumSolThreshold/dustThreshold)
+const MINIMUM_SOL_THRESHOLD = parseFloat(process.env.MINIMUM_SOL_THRESHOLD) || 0;
+const DUST_THRESHOLD = parseInt(process.env.DUST_THRESHOLD, 10) || 0; // lamports
+const METRICS_PORT = parseInt(process.env.METRICS_PORT, 10); // /healthz and /metrics are served only when set
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+const HEALTH_MAX_CYCLE_AGE_SECONDS = parseInt(process.env.HEALTH_MAX_CYCLE_AGE_SECONDS, 10) || 300;
+// Telegram user ids allowed to use the operator commands
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const MAX_TRANSACTIONS_PER_CHECK = parseInt(process.env.MAX_TRANSACTIONS_PER_CHECK, 10) || 20;
+const SIGNATURE_PAGE_SIZE = 100;
+const MAX_SIGNATURE_PAGES = 10;
+const TRACE_PAGE_SIZE = 1000;
+const MAX_TRACE_PAGES = parseInt(process.env.MAX_TRACE_PAGES, 10) || 20; // per hop, so up to 20k signatures
+const TRACE_OLDEST_TRANSACTIONS = 10; // earliest transactions inspected for the funding transfer
+const TRACE_MAX_HOPS = 3;
+const CATCHUP_MAX_AGE_MINUTES = parseFloat(process.env.CATCHUP_MAX_AGE_MINUTES || '60');
+const CATCHUP_MARK_OFFLINE = process.env.CATCHUP_MARK_OFFLINE !== 'false';
+const BALANCE_CHECK_INTERVAL = (parseInt(process.env.BALANCE_CHECK_INTERVAL_SECONDS, 10) || 60) * 1000;
+const MAX_BALANCE_WINDOW_MINUTES = 24 * 60;
+const TOP_TOKEN_HOLDINGS = 3;
+const BALANCE_CACHE_TTL = 60 * 1000; // settings screens re-render on every toggle
+const PRICE_API_URL = process.env.PRICE_API_URL; // CoinGecko-compatible, defaults to the public API
+const PRICE_API_KEY = process.env.PRICE_API_KEY;
+// 'http', 'stub' or 'none'; the keyless public API rate-limits hard, so it isn't used unless configured
+const PRICE_PROVIDER = process.env.PRICE_PROVIDER || (PRICE_API_URL || PRICE_API_KEY ? 'http' : 'none');
+const PRICE_CACHE_SECONDS = parseInt(process.env.PRICE_CACHE_SECONDS, 10) || 60;
+const STUB_PRICES = parseJsonSetting('STUB_PRICES', {}); // JSON, e.g. {"SOL":{"usd":150}}
+const DEFAULT_CURRENCY = 'usd';
+const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp', 'jpy', 'cad', 'aud', 'chf', 'inr', 'brl', 'try'];
+const TELEGRAM_MESSAGES_PER_SECOND = parseFloat(process.env.TELEGRAM_MESSAGES_PER_SECOND || '25'); // Telegram's global limit is 30
+const ALERT_COALESCE_MIN = parseInt(process.env.ALERT_COALESCE_MIN, 10) || 3; // queued alerts per wallet merged into one summary
+const MAX_COALESCED_LINES = 15;
+const DEAD_LETTER_FILE = path.join(DATA_DIR, 'dead-letter.jsonl');
+const WEBHOOK_TIMEOUT = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 4;
+// Hosts webhooks may reach even though they are private or local (e.g. an internal relay)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+const MAX_WEBHOOKS_PER_WALLET = 5;
+const TOKEN_PROGRAM_IDS = [
+  new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+  new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb')
+];
+
+// Subscriptions: payments to PAYMENT_ADDRESS buy the plans in PLANS_FILE. Without a payment
+// address there are no plans and no limits.
+const PAYMENT_ADDRESS = process.env.PAYMENT_ADDRESS;
+const PLANS_FILE = process.env.PLANS_FILE || path.join(__dirname, 'plans.json');
+const INVOICE_TTL_HOURS = parseFloat(process.env.INVOICE_TTL_HOURS || '24');
+const UNLIMITED_PLAN = { id: 'unlimited', name: 'Unlimited', maxWallets: Infinity, pollSeconds: 0, expiresAt: null };
+const MEMO_PROGRAM_IDS = new Set([
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EQVDDwQDxFMNo'
+]);
+// Programs a plain wallet-to-wallet transfer goes through; the "ignore programs" rule skips them
+const TRANSFER_PROGRAM_IDS = new Set([
+  '11111111111111111111111111111111',
+  'ComputeBudget111111111111111111111111111111',
+  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
+  ...TOKEN_PROGRAM_IDS.map(programId => programId.toString()),
+  ...MEMO_PROGRAM_IDS
+]);
+
+// Symbols for well-known mints; anything else is shown as a shortened mint address
+const KNOWN_TOKENS = {
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT',
+  'So11111111111111111111111111111111111111112': 'wSOL',
+  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 'BONK',
+  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 'JUP'
+};
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+// Assets a swap is priced in: a swap spending one of these buys a token, receiving one sells it
+const QUOTE_MINTS = new Set([
+  WSOL_MINT,
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+]);
+
+// Aggregators first: when Jupiter routes through an AMM, the alert should name Jupiter
+const DEX_PROGRAMS = {
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QUszemyn4': 'Jupiter',
+  'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': 'Jupiter',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': 'PumpSwap',
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium',
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'Raydium CLMM',
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'Raydium CPMM',
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca',
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'Meteora DLMM',
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora'
+};
 // ======================================================
 
+// Like the numeric settings, a malformed JSON setting falls back to its default
+function parseJsonSetting(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`⚠️ Ignoring ${name}, it isn't valid JSON: ${error.message}`);
+    return fallback;
+  }
+}
+
 // Initialize bot and Solana connection
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
-const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+// Polling starts in start(), once storage is loaded
+const bot = new TelegramBot(BOT_TOKEN, { polling: false });
+const connection = createRpcPool({
+  urls: SOLANA_RPC_URLS,
+  commitment: 'confirmed',
+  requestsPerSecond: RPC_REQUESTS_PER_SECOND,
+  maxAttempts: RPC_MAX_ATTEMPTS,
+  healthCheckInterval: RPC_HEALTH_CHECK_SECONDS * 1000
+});
+const storage = createStorage({ backend: STORAGE_BACKEND, dataDir: DATA_DIR, legacyDir: __dirname });
+const priceService = createPriceService({
+  provider: PRICE_PROVIDER,
+  apiUrl: PRICE_API_URL,
+  apiKey: PRICE_API_KEY,
+  stubPrices: STUB_PRICES,
+  ttlMs: PRICE_CACHE_SECONDS * 1000
+});
+// Alerts and digests go through the queue; replies to user actions are sent directly
+const sendQueue = createSendQueue({
+  send: (chatId, text, options) => bot.sendMessage(chatId, text, options),
+  globalPerSecond: TELEGRAM_MESSAGES_PER_SECOND,
+  coalesceMin: ALERT_COALESCE_MIN,
+  summarize: summarizeAlertBurst,
+  deadLetterPath: DEAD_LETTER_FILE,
+  onBlocked: deactivateBlockedChat,
+  // Queued alerts survive restarts: their cursors have already moved past them
+  persist: {
+    add: (item) => storage.update('outbox', (outbox) => { outbox[item.id] = item; }),
+    remove: (items) => storage.update('outbox', (outbox) => {
+      for (const item of items) delete outbox[item.id];
+    })
+  }
+});
+const webhookSender = createWebhookSender({ timeout: WEBHOOK_TIMEOUT, maxAttempts: WEBHOOK_MAX_ATTEMPTS, allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+
+// Real-time mode: a log subscription per tracked address triggers an immediate check.
+// Subscribed addresses are skipped by the polling loop, which takes over while the socket is down.
+const logSubscriber = TRACKING_MODE === 'websocket'
+  ? createLogSubscriber({
+      url: SOLANA_WS_URL,
+      onLogs: (address) => checkAddressNow(address),
+      onSubscribed: (address) => checkAddressNow(address),
+      onStatusChange: (connected) => {
+        console.log(connected
+          ? '🔌 Real-time tracking connected'
+          : '🔌 Real-time tracking down, falling back to polling');
+      }
+    })
+  : null;
 
 // Global state
+// Wallets, sessions and settings belong to a chat: in private chats the chat id is the
+// user id, in groups the whole chat shares one tracker managed by its admins
 const userSessions = new Map();
-const lastCheckedSignatures = new Map();
+const chatAdminCache = new Map(); // `${chatId}:${userId}` -> { admin, expires }
+let botInfo = null;
+const walletChecksInFlight = new Map(); // address -> rerun requested
+const balanceSamples = new Map(); // address -> [{ time, lamports }] within MAX_BALANCE_WINDOW_MINUTES
+const balanceCache = new Map(); // address -> { balance, expires }
+// Cluster activity is only kept in memory: windows spanning a restart start over empty
+const clusterActivity = new Map(); // `${userId}:${kind}:${key}` -> [{ walletId, timestamp, signature }]
+const clusterAlerts = new Map(); // `${userId}:${clusterId}:${kind}:${key}` -> timestamp of last alert
+const fundingCache = new Map(); // address -> first funding transfer (it never changes once found)
+const lastPolledAt = new Map(); // address -> time of the last polling check
+let billing = null; // set in start() when PAYMENT_ADDRESS is configured
+const botStats = {
+  startedAt: Date.now(),
+  alertsQueued: 0,
+  cycles: 0,
+  lastCycleMs: null,
+  lastCycleAt: null,
+  addressesChecked: 0,
+  transactionsAnalyzed: 0,
+  notificationsFiltered: 0,
+  webhooksFailed: 0,
+  lastPollingErrorAt: null
+};
+let knownAddresses = {};
 
 // Data structure for wallets
-async function initDataFile() {
-  try {
-    await fs.access(DATA_FILE);
-  } catch {
-    await fs.writeFile(DATA_FILE, JSON.stringify({}));
-  }
+function createWalletRecord(name, address, settings = {}) {
+  return {
+    name,
+    address,
+    minAmount: minimumSolThreshold(),
+    maxAmount: null,
+    minUsd: null,
+    maxUsd: null,
+    direction: 'both',
+    trackSol: true,
+    tokenMode: 'none',
+    tokenFilters: {},
+    swapAlerts: true,
+    active: true,
+    ...settings,
+    created: new Date().toISOString()
+  };
 }
 
 async function loadWallets() {
+  return storage.get('wallets');
+}
+
+// Shared, read-only view of all wallets for the polling and alert paths, which would
+// otherwise copy every user's wallets per check
+function peekWallets() {
+  return storage.peek('wallets');
+}
+
+// Serialized read-modify-write of all wallets; resolves with what `mutate` returns
+function updateWallets(mutate) {
+  return storage.update('wallets', mutate);
+}
+
+// Signature cursors: last processed signature and slot per tracked address
+function getCursor(address) {
+  return storage.get('cursors', address);
+}
+
+async function setCursor(address, sigInfo) {
+  await storage.update('cursors', (cursors) => {
+    cursors[address] = {
+      address,
+      signature: sigInfo.signature,
+      slot: sigInfo.slot,
+      updated: new Date().toISOString()
+    };
+  });
+}
+
+// Address book: per-user labels for counterparties
+async function loadAddressBook() {
+  return storage.get('addressBook');
+}
+
+async function setAddressLabel(userId, address, label) {
+  await storage.update('addressBook', (addressBook) => {
+    if (!addressBook[userId]) addressBook[userId] = {};
+    addressBook[userId][address] = label;
+  });
+}
+
+// Bundled exchange/program labels, shared by all users
+async function loadKnownAddresses() {
+  if (!USE_KNOWN_ADDRESSES) return;
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch {
-    return {};
+    knownAddresses = JSON.parse(await fs.readFile(KNOWN_ADDRESSES_FILE, 'utf8'));
+    console.log(`📒 Loaded ${Object.keys(knownAddresses).length} known addresses`);
+  } catch (error) {
+    console.error('❌ Failed to load known addresses:', error.message);
   }
 }
 
-async function saveWallets(wallets) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(wallets, null, 2));
+// Transfer history: every analyzed transfer/swap per (user, wallet), notified or not
+function getHistory(userId, walletId) {
+  return storage.get('history', userId)?.[walletId] || [];
+}
+
+async function recordHistory(records) {
+  if (records.length === 0) return;
+  await storage.update('history', (history) => {
+    for (const { userId, walletId, entry } of records) {
+      if (!history[userId]) history[userId] = {};
+      const log = history[userId][walletId] || [];
+      log.push(entry);
+      history[userId][walletId] = log.slice(-HISTORY_LIMIT);
+    }
+  });
+}
+
+// Per-user preferences
+const DIGEST_DEFAULTS = { frequency: 'off', time: '09:00', timeZone: 'UTC', lastSent: null };
+
+function getDigestSettings(userId) {
+  return { ...DIGEST_DEFAULTS, ...storage.get('settings', userId)?.digest };
+}
+
+async function updateDigestSettings(userId, changes) {
+  await storage.update('settings', (settings) => {
+    if (!settings[userId]) settings[userId] = {};
+    settings[userId].digest = { ...DIGEST_DEFAULTS, ...settings[userId].digest, ...changes };
+  });
+}
+
+function getCurrency(userId) {
+  return storage.get('settings', userId)?.currency || DEFAULT_CURRENCY;
+}
+
+async function setCurrency(userId, currency) {
+  await storage.update('settings', (settings) => {
+    if (!settings[userId]) settings[userId] = {};
+    settings[userId].currency = currency;
+  });
+}
+
+// Sets `isNew` on each counterparty never seen by this tracked address before, then records them.
+// The first transfer of a newly tracked address only seeds the set: everything would be "new".
+async function markNewCounterparties(address, transfers) {
+  const counterparties = transfers.flatMap(transfer => transfer.counterparties || []);
+  for (const counterparty of counterparties) counterparty.isNew = false;
+
+  const known = storage.peek('seenCounterparties', address);
+  if (counterparties.length === 0 || (known && counterparties.every(counterparty => known[counterparty.address]))) return;
+
+  await storage.update('seenCounterparties', (seenCounterparties) => {
+    const firstRun = !seenCounterparties[address];
+    const seen = seenCounterparties[address] || {};
+
+    for (const counterparty of counterparties) {
+      counterparty.isNew = !firstRun && !seen[counterparty.address];
+      if (!seen[counterparty.address]) seen[counterparty.address] = new Date().toISOString();
+    }
+
+    // Oldest entries go first once the cap is hit
+    seenCounterparties[address] = Object.fromEntries(Object.entries(seen).slice(-MAX_SEEN_COUNTERPARTIES));
+  });
 }
 
 // Utility functions
@@ -55,6 +360,54 @@ function formatSOL(lamports) {
   return (lamports / 1e9).toFixed(6);
 }
 
+function shortenAddress(address) {
+  return `${address.slice(0, 4)}…${address.slice(-4)}`;
+}
+
+function tokenLabel(mint) {
+  return KNOWN_TOKENS[mint] || shortenAddress(mint);
+}
+
+function formatTokenAmount(uiAmount) {
+  return uiAmount.toLocaleString('en-US', { maximumFractionDigits: 6 });
+}
+
+function formatAssetAmount(mint, uiAmount) {
+  return mint ? `${formatTokenAmount(uiAmount)} ${tokenLabel(mint)}` : `${formatTokenAmount(uiAmount)} SOL`;
+}
+
+function formatTransferAmount(transfer) {
+  return transfer.mint
+    ? `${formatTokenAmount(transfer.uiAmount)} ${tokenLabel(transfer.mint)}`
+    : `${formatSOL(transfer.amount)} SOL`;
+}
+
+function formatFiat(value, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    maximumFractionDigits: Math.abs(value) < 1 ? 4 : 2
+  }).format(value);
+}
+
+// " (≈ $12.34)" in the user's currency, or '' when there is no price
+async function fiatSuffix(userId, mint, amount) {
+  const currency = getCurrency(userId);
+  const value = await priceService.getValue(mint, amount, currency);
+  return value === null ? '' : ` (≈ ${formatFiat(value, currency)})`;
+}
+
+function describeAssets(wallet) {
+  const parts = [];
+  if (wallet.trackSol !== false) parts.push('SOL');
+  if (wallet.tokenMode === 'all') parts.push('all tokens');
+  if (wallet.tokenMode === 'list') {
+    const mints = Object.keys(wallet.tokenFilters || {});
+    parts.push(mints.length > 0 ? mints.map(tokenLabel).join(', ') : 'no tokens selected');
+  }
+  return parts.length > 0 ? parts.join(' + ') : 'Nothing';
+}
+
 function isValidSolanaAddress(address) {
   try {
     new PublicKey(address);
@@ -70,7 +423,13 @@ const mainMenuKeyboard = {
     inline_keyboard: [
       [{ text: '➕ Add Wallet', callback_data: 'add_wallet' }],
       [{ text: '👁️ View Wallets', callback_data: 'view_wallets' }],
-      [{ text: '❌ Remove Wallet', callback_data: 'remove_wallet' }]
+      [{ text: '❌ Remove Wallet', callback_data: 'remove_wallet' }],
+      [{ text: '📋 Bulk Import', callback_data: 'bulk_import' }],
+      [{ text: '📒 Address Book', callback_data: 'address_book' }],
+      [{ text: '🕸️ Wallet Clusters', callback_data: 'cluster_list' }],
+      [{ text: '📰 Digest Reports', callback_data: 'digest_menu' }],
+      [{ text: '💱 Currency', callback_data: 'currency_menu' }],
+      ...(PAYMENT_ADDRESS ? [[{ text: '💳 Subscription', callback_data: 'billing_menu' }]] : [])
     ]
   }
 };
@@ -88,18 +447,31 @@ const welcomeMessage = `
 
 This bot helps you monitor SOL transactions from your selected wallets. You can:
 
-• Add multiple wallets with custom names
-• Set transaction filters (amount, direction)
+• Add multiple wallets with custom names (or bulk import a list)
+• Set transaction filters (amount in SOL or USD, direction)
+• See alert values in USD or your own currency
+• Watch balances and get alerted on thresholds or sudden changes
 • Get real-time notifications
 • Manage your wallet list easily
+• Share one tracker in a group and send alerts to channels or forum topics
+• Label counterparties in your address book (or reply to an alert with a name)
+• Group wallets into clusters and get alerted when they move together
+• Export activity and back up your wallet list with /export
+• Get daily or weekly digest reports per wallet
 
 Click the buttons below to get started!
   `
 
 // Bot commands
-bot.onText(/\/start/, (msg) => {
+bot.onText(/\/start/, async (msg) => {
   const chatId = msg.chat.id;
-  bot.sendMessage(chatId, welcomeMessage, mainMenuKeyboard);
+  if (isBanned(chatId) || isBanned(msg.from.id)) {
+    bot.sendMessage(chatId, '🚫 This account has been banned from the bot.');
+    return;
+  }
+  const resumed = await reactivateChat(chatId);
+  const welcomeBack = resumed > 0 ? `👋 Welcome back! ${resumed} paused wallet(s) are tracked again.\n\n` : '';
+  bot.sendMessage(chatId, welcomeBack + welcomeMessage, mainMenuKeyboard);
 });
 
 bot.onText(/\/menu/, (msg) => {
@@ -107,15 +479,282 @@ bot.onText(/\/menu/, (msg) => {
   bot.sendMessage(chatId, welcomeMessage, mainMenuKeyboard);
 });
 
+bot.onText(/\/export/, (msg) => {
+  const chatId = msg.chat.id;
+  bot.sendMessage(chatId, '📤 What would you like to export?', exportMenuKeyboard);
+});
+
+bot.onText(/^\/history(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = chatId;
+
+  try {
+    const wallets = await loadWallets();
+    const keyboard = Object.entries(wallets[userId] || {})
+      .map(([walletId, wallet]) => [{ text: `📜 ${wallet.name}`, callback_data: `history_${walletId}_0` }]);
+
+    if (keyboard.length === 0) {
+      await bot.sendMessage(chatId, '📭 You haven\'t added any wallets yet.', backKeyboard);
+      return;
+    }
+
+    keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
+    await bot.sendMessage(chatId, '📜 Choose a wallet to see its history:', { reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    console.error('History command error:', error);
+    bot.sendMessage(chatId, '❌ Could not load your wallets. Please try again.').catch(() => {});
+  }
+});
+
+// Admin commands
+// Only answer admins, and only in private chats so operator data doesn't leak into groups
+const ADMIN_HELP = '🛠️ Admin commands\n\n' +
+                   '/stats: usage and health\n' +
+                   '/broadcast <text>: message every user (asks for confirmation)\n' +
+                   '/user <id>: a user\'s plan and wallets\n' +
+                   '/ban <id>, /unban <id>\n' +
+                   '/config: runtime thresholds\n' +
+                   '/set min_sol <SOL> | dust <lamports>: change a threshold';
+
+const pendingBroadcasts = new Map(); // admin id -> broadcast text awaiting confirmation
+
+function isAdmin(userId) {
+  return ADMIN_IDS.includes(String(userId));
+}
+
+function isBanned(userId) {
+  return Boolean(storage.get('settings', userId)?.banned);
+}
+
+function minimumSolThreshold() {
+  return storage.get('config').minimumSolThreshold ?? MINIMUM_SOL_THRESHOLD;
+}
+
+function dustThreshold() {
+  return storage.get('config').dustThreshold ?? DUST_THRESHOLD;
+}
+
+function onAdminCommand(pattern, handler) {
+  bot.onText(pattern, async (msg, match) => {
+    if (msg.chat.type !== 'private' || !isAdmin(msg.from.id)) return;
+    try {
+      await handler(msg, match);
+    } catch (error) {
+      console.error('Admin command error:', error);
+      bot.sendMessage(msg.chat.id, `❌ ${error.message}`);
+    }
+  });
+}
+
+// Everyone the bot knows: owners of wallets or settings, minus banned and blocked chats
+function knownChatIds() {
+  const ids = new Set([...Object.keys(storage.get('wallets')), ...Object.keys(storage.get('settings'))]);
+  return [...ids].filter(id => {
+    const settings = storage.get('settings', id);
+    return !settings?.banned && !settings?.blocked;
+  });
+}
+
+async function buildStats() {
+  const wallets = await loadWallets();
+  const owners = Object.values(wallets).filter(userWallets => Object.keys(userWallets).length > 0);
+  const allWallets = owners.flatMap(userWallets => Object.values(userWallets));
+  const uniqueAddresses = groupByAddress(collectActiveWallets(wallets)).size;
+  const banned = Object.values(storage.get('settings')).filter(settings => settings.banned).length;
+  const queue = sendQueue.getStats();
+  const endpoints = connection.getMetrics();
+  const uptimeMinutes = Math.floor((Date.now() - botStats.startedAt) / 60000);
+
+  let message = `📊 Bot Stats\n\n` +
+                `⏱️ Uptime: ${Math.floor(uptimeMinutes / 60)}h ${uptimeMinutes % 60}m\n` +
+                `👥 Users: ${owners.length} (${banned} banned)\n` +
+                `👛 Wallets: ${allWallets.length} (${allWallets.filter(wallet => wallet.active).length} active)\n` +
+                `📍 Unique addresses: ${uniqueAddresses}\n` +
+                `🔔 Alerts since start: ${botStats.alertsQueued}\n` +
+                `📨 Messages sent: ${queue.sent} (${queue.pending} pending, ${queue.deadLettered} dropped, ${queue.blocked} blocked chats)\n` +
+                `🔁 Last cycle: ${botStats.lastCycleMs === null ? 'none yet' : `${(botStats.lastCycleMs / 1000).toFixed(1)}s, ${Math.round((Date.now() - botStats.lastCycleAt) / 1000)}s ago`}\n`;
+
+  if (billing) {
+    const subscribers = Object.keys(storage.get('billing')).filter(id => getPlan(id).id !== billing.freePlanId).length;
+    message += `💳 Paying users: ${subscribers}\n`;
+  }
+
+  message += `\n🌐 RPC endpoints:\n`;
+  for (const endpoint of endpoints) {
+    message += `• ${endpoint.endpoint} ${endpoint.healthy ? '🟢' : '🔴'}: ${endpoint.requests} requests, ` +
+               `${endpoint.errors} errors (${endpoint.rateLimited} rate limited)` +
+               `${endpoint.avgLatencyMs === null ? '' : `, ${endpoint.avgLatencyMs} ms avg`}\n`;
+  }
+  return message;
+}
+
+function adminUserKeyboard(userId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [isBanned(userId)
+          ? { text: '✅ Unban', callback_data: `admin_unban_${userId}` }
+          : { text: '🚫 Ban', callback_data: `admin_ban_${userId}` }],
+        [{ text: '🗑️ Reset Wallets', callback_data: `admin_reset_${userId}` }]
+      ]
+    }
+  };
+}
+
+async function buildUserReport(userId) {
+  const userWallets = Object.values((await loadWallets())[userId] || {});
+  const settings = storage.get('settings', userId) || {};
+  const plan = getPlan(userId);
+
+  let message = `👤 User ${userId}\n\n` +
+                `📦 Plan: ${plan.name}${plan.expiresAt ? ` (until ${new Date(plan.expiresAt).toLocaleDateString()})` : ''}\n` +
+                `🚦 Status: ${settings.banned ? 'Banned' : settings.blocked ? 'Blocked the bot' : 'Active'}\n` +
+                `👛 Wallets: ${userWallets.length}\n`;
+  for (const wallet of userWallets) {
+    message += `\n• ${wallet.name}${wallet.active ? '' : ' (paused)'}\n  ${wallet.address}`;
+  }
+  return message;
+}
+
+async function setBanned(userId, banned) {
+  await storage.update('settings', (settings) => {
+    if (!settings[userId]) settings[userId] = {};
+    if (banned) settings[userId].banned = true;
+    else delete settings[userId].banned;
+  });
+  syncSubscriptions(await loadWallets());
+  console.log(`🛠️ User ${userId} ${banned ? 'banned' : 'unbanned'}`);
+}
+
+async function resetUserWallets(userId) {
+  await updateWallets((wallets) => { delete wallets[userId]; });
+  await storage.update('history', (history) => { delete history[userId]; });
+  await storage.update('clusters', (clusters) => { delete clusters[userId]; });
+  syncSubscriptions(await loadWallets());
+  console.log(`🛠️ Wallets of user ${userId} reset`);
+}
+
+async function handleAdminCallback(chatId, messageId, data) {
+  const [, action, target] = data.split('_');
+
+  switch (action) {
+    case 'broadcast': {
+      const text = pendingBroadcasts.get(chatId);
+      pendingBroadcasts.delete(chatId);
+      if (target !== 'send' || !text) {
+        await bot.editMessageText('❌ Broadcast cancelled.', { chat_id: chatId, message_id: messageId });
+        return;
+      }
+      const recipients = knownChatIds();
+      recipients.forEach(id => sendQueue.enqueue(id, text));
+      console.log(`🛠️ Broadcast queued for ${recipients.length} chats`);
+      await bot.editMessageText(`📣 Broadcast queued for ${recipients.length} chats.`, { chat_id: chatId, message_id: messageId });
+      return;
+    }
+
+    case 'ban':
+    case 'unban':
+      await setBanned(target, action === 'ban');
+      break;
+
+    case 'reset':
+      await bot.editMessageText(`🗑️ Remove all wallets, history and clusters of user ${target}? This cannot be undone.`, {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Yes, Reset', callback_data: `admin_resetok_${target}` },
+            { text: '❌ Cancel', callback_data: `admin_user_${target}` }
+          ]]
+        }
+      });
+      return;
+
+    case 'resetok':
+      await resetUserWallets(target);
+      break;
+  }
+
+  await bot.editMessageText(await buildUserReport(target), { chat_id: chatId, message_id: messageId, ...adminUserKeyboard(target) });
+}
+
+onAdminCommand(/^\/admin(?:@\w+)?$/, (msg) => bot.sendMessage(msg.chat.id, ADMIN_HELP));
+
+onAdminCommand(/^\/stats(?:@\w+)?$/, async (msg) => {
+  await bot.sendMessage(msg.chat.id, await buildStats());
+});
+
+onAdminCommand(/^\/broadcast(?:@\w+)?\s+([\s\S]+)$/, async (msg, match) => {
+  pendingBroadcasts.set(msg.chat.id, match[1].trim());
+  await bot.sendMessage(
+    msg.chat.id,
+    `📣 Send this to ${knownChatIds().length} chats?\n\n${match[1].trim()}`,
+    {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Send', callback_data: 'admin_broadcast_send' },
+          { text: '❌ Cancel', callback_data: 'admin_broadcast_cancel' }
+        ]]
+      }
+    }
+  );
+});
+
+onAdminCommand(/^\/user(?:@\w+)?\s+(-?\d+)$/, async (msg, match) => {
+  await bot.sendMessage(msg.chat.id, await buildUserReport(match[1]), adminUserKeyboard(match[1]));
+});
+
+onAdminCommand(/^\/(ban|unban)(?:@\w+)?\s+(-?\d+)$/, async (msg, match) => {
+  await setBanned(match[2], match[1] === 'ban');
+  await bot.sendMessage(msg.chat.id, `✅ User ${match[2]} ${match[1] === 'ban' ? 'banned' : 'unbanned'}.`);
+});
+
+onAdminCommand(/^\/config(?:@\w+)?$/, async (msg) => {
+  await bot.sendMessage(
+    msg.chat.id,
+    `⚙️ Runtime config\n\n` +
+    `min_sol: ${minimumSolThreshold()} SOL (default ${MINIMUM_SOL_THRESHOLD})\n` +
+    `dust: ${dustThreshold()} lamports (default ${DUST_THRESHOLD})`
+  );
+});
+
+onAdminCommand(/^\/set(?:@\w+)?\s+(min_sol|dust)\s+(\S+)$/, async (msg, match) => {
+  const value = Number(match[2]);
+  if (!Number.isFinite(value) || value < 0 || (match[1] === 'dust' && !Number.isInteger(value))) {
+    await bot.sendMessage(msg.chat.id, '❌ Please send a non-negative number (whole lamports for dust).');
+    return;
+  }
+
+  const key = match[1] === 'min_sol' ? 'minimumSolThreshold' : 'dustThreshold';
+  await storage.update('config', (config) => { config[key] = value; });
+  console.log(`🛠️ ${match[1]} set to ${value}`);
+  await bot.sendMessage(msg.chat.id, `✅ ${match[1]} set to ${value}${match[1] === 'min_sol' ? ' SOL' : ' lamports'}.`);
+});
+
 // Callback query handlers
 bot.on('callback_query', async (callbackQuery) => {
   const message = callbackQuery.message;
   const data = callbackQuery.data;
   const chatId = message.chat.id;
   const messageId = message.message_id;
-  const userId = callbackQuery.from.id;
+  const userId = chatId;
+  const memberId = callbackQuery.from.id;
 
   try {
+    if (data.startsWith('admin_')) {
+      await bot.answerCallbackQuery(callbackQuery.id);
+      // Same as admin commands: only from the admin's private chat with the bot
+      if (message.chat.type === 'private' && isAdmin(memberId)) await handleAdminCallback(chatId, messageId, data);
+      return;
+    }
+    if (isBanned(userId) || isBanned(memberId)) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: '🚫 This account has been banned from the bot.', show_alert: true });
+      return;
+    }
+    if (!isReadOnlyCallback(data) && !(await isChatAdmin(message.chat, memberId))) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: '🔒 Only chat admins can change this tracker.', show_alert: true });
+      return;
+    }
     await bot.answerCallbackQuery(callbackQuery.id);
 
     switch (data) {
@@ -132,6 +771,10 @@ bot.on('callback_query', async (callbackQuery) => {
         await handleAddWallet(chatId, messageId, userId);
         break;
 
+      case 'bulk_import':
+        await handleBulkImport(chatId, messageId, userId);
+        break;
+
       case 'view_wallets':
         await handleViewWallets(chatId, messageId, userId);
         break;
@@ -139,6 +782,45 @@ bot.on('callback_query', async (callbackQuery) => {
       case 'remove_wallet':
         await handleRemoveWallet(chatId, messageId, userId);
         break;
+
+      case 'address_book':
+        userSessions.delete(userId);
+        await handleAddressBook(chatId, messageId, userId);
+        break;
+
+      case 'cluster_list':
+        userSessions.delete(userId);
+        await handleClusterList(chatId, messageId, userId);
+        break;
+
+      case 'cluster_new':
+        userSessions.set(userId, { state: 'awaiting_cluster_name' });
+        await bot.editMessageText(
+          '🕸️ Send a name for the new cluster (e.g., "Snipers"):',
+          { chat_id: chatId, message_id: messageId, ...clusterListBackKeyboard }
+        );
+        break;
+
+      case 'billing_menu':
+        await handleBillingMenu(chatId, messageId, userId);
+        break;
+
+      case 'currency_menu':
+        await handleCurrencyMenu(chatId, messageId, userId);
+        break;
+
+      case 'digest_menu':
+        userSessions.delete(userId);
+        await handleDigestMenu(chatId, messageId, userId);
+        break;
+
+      case 'book_add':
+        userSessions.set(userId, { state: 'awaiting_label_address' });
+        await bot.editMessageText(
+          '🏷️ Send the Solana address you want to label:',
+          { chat_id: chatId, message_id: messageId, ...addressBookBackKeyboard }
+        );
+        break;
       
       default:
         if (data.startsWith('edit_wallet_')) {
@@ -152,6 +834,34 @@ bot.on('callback_query', async (callbackQuery) => {
           await handleActualRemove(chatId, messageId, userId, walletId);
         } else if (data.startsWith('filter_')) {
           await handleFilterSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('assets_')) {
+          await handleAssetsSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('cluster_')) {
+          await handleClusterSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('rules_')) {
+          await handleRulesSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('export_') || data === 'import_wallets') {
+          await handleExportSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('trace_')) {
+          const [, walletId, hops] = data.split('_');
+          await handleTraceFunding(chatId, messageId, userId, walletId, Math.min(parseInt(hops, 10) || 1, TRACE_MAX_HOPS));
+        } else if (data.startsWith('history_')) {
+          const [, walletId, page] = data.split('_');
+          await handleHistory(chatId, messageId, userId, walletId, parseInt(page, 10) || 0);
+        } else if (data.startsWith('currency_set_')) {
+          const currency = data.replace('currency_set_', '');
+          if (SUPPORTED_CURRENCIES.includes(currency)) await setCurrency(userId, currency);
+          await handleCurrencyMenu(chatId, messageId, userId);
+        } else if (data.startsWith('balance_')) {
+          await handleBalanceSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('billing_buy_')) {
+          await handleBillingSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('deliver_')) {
+          await handleDeliverySelection(callbackQuery, userId, data);
+        } else if (data.startsWith('digest_')) {
+          await handleDigestSelection(chatId, messageId, userId, data);
+        } else if (data.startsWith('book_rm_')) {
+          await handleRemoveLabel(chatId, messageId, userId, parseInt(data.replace('book_rm_', ''), 10));
         } else if (data.startsWith('set_direction_')) {
             const parts = data.split('_');
             const direction = parts[2];
@@ -162,14 +872,81 @@ bot.on('callback_query', async (callbackQuery) => {
         }
         break;
     }
+
+    // A flow started by this button belongs to the member who pressed it
+    const session = userSessions.get(userId);
+    if (session && session.memberId === undefined) {
+      session.memberId = memberId;
+      if (message.chat.type !== 'private') await promptGroupReply(message, callbackQuery.from);
+    }
   } catch (error) {
     console.error('Callback query error:', error);
     bot.sendMessage(chatId, '❌ An error occurred. Please try again.');
   }
 });
 
+// Group chats: admin checks and reply-based conversations
+function isReadOnlyCallback(data) {
+  return data === 'view_wallets' || data.startsWith('history_');
+}
+
+async function isChatAdmin(chat, userId) {
+  if (chat.type === 'private') return true;
+
+  const key = `${chat.id}:${userId}`;
+  const cached = chatAdminCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.admin;
+
+  let admin = false;
+  try {
+    const member = await bot.getChatMember(chat.id, userId);
+    admin = ['creator', 'administrator'].includes(member.status);
+  } catch (error) {
+    console.error(`❌ Failed to check admin status in chat ${chat.id}:`, error.message);
+  }
+
+  chatAdminCache.set(key, { admin, expires: Date.now() + 60 * 1000 });
+  return admin;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Legacy Markdown only needs _ * ` [ escaped outside of entities
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+// Bots only see replies to their own messages in groups, and this keeps unrelated
+// group chatter out of the flow: ask the member to answer with a reply
+async function promptGroupReply(message, member) {
+  await bot.sendMessage(
+    message.chat.id,
+    `✍️ <a href="tg://user?id=${member.id}">${escapeHtml(member.first_name)}</a>, reply to this message with your answer.`,
+    {
+      parse_mode: 'HTML',
+      message_thread_id: message.is_topic_message ? message.message_thread_id : undefined,
+      reply_markup: { force_reply: true, selective: true }
+    }
+  );
+}
+
+// Private chats accept any message; groups only a reply to the bot from the member
+// who started the flow
+function belongsToSession(msg, session) {
+  if (!session) return false;
+  if (msg.chat.type === 'private') return true;
+  return msg.reply_to_message?.from?.id === botInfo?.id && session.memberId === msg.from.id;
+}
+
 // Add wallet handler
 async function handleAddWallet(chatId, messageId, userId) {
+  if (countActiveWallets((await loadWallets())[userId]) >= getPlan(userId).maxWallets) {
+    await bot.editMessageText(walletLimitMessage(userId), { chat_id: chatId, message_id: messageId, ...walletLimitKeyboard });
+    return;
+  }
+
   userSessions.set(userId, { state: 'awaiting_wallet_name' });
   
   await bot.editMessageText(
@@ -182,6 +959,24 @@ async function handleAddWallet(chatId, messageId, userId) {
   );
 }
 
+// Bulk import handler
+async function handleBulkImport(chatId, messageId, userId) {
+  userSessions.set(userId, { state: 'awaiting_bulk_import' });
+
+  await bot.editMessageText(
+    '📋 Bulk import\n\n' +
+    'Paste one wallet per line as name,address:\n' +
+    '<code>Main,7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU</code>\n\n' +
+    `Or upload a .csv / .json file (up to ${MAX_BULK_IMPORT_WALLETS} wallets). Addresses you already track are skipped.`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'HTML',
+      ...backKeyboard
+    }
+  );
+}
+
 // View wallets handler
 async function handleViewWallets(chatId, messageId, userId) {
   const wallets = await loadWallets();
@@ -203,13 +998,13 @@ async function handleViewWallets(chatId, messageId, userId) {
   const keyboard = [];
 
   for (const [walletId, wallet] of Object.entries(userWallets)) {
-    message += `💼 **${wallet.name}**${wallet.forced ? ' (System)' : ''}\n`;
+    message += `💼 **${wallet.name}**\n`;
     message += `📍 ${wallet.address}\n`;
     message += `💰 Min: ${wallet.minAmount || 0} SOL, Max: ${wallet.maxAmount || '∞'} SOL\n`;
     message += `🔄 Direction: ${wallet.direction || 'Both'}\n`;
     message += `🟢 Status: ${wallet.active ? 'Active' : 'Paused'}\n\n`;
     
-    keyboard.push([{ text: `⚙️ ${wallet.name}${wallet.forced ? ' (locked)' : ''}`, callback_data: `edit_wallet_${walletId}` }]);
+    keyboard.push([{ text: `⚙️ ${wallet.name}`, callback_data: `edit_wallet_${walletId}` }]);
   }
 
   keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
@@ -226,9 +1021,7 @@ async function handleViewWallets(chatId, messageId, userId) {
 async function handleRemoveWallet(chatId, messageId, userId) {
   const wallets = await loadWallets();
   const userWallets = wallets[userId] || {};
-  
-  // Filter out forced/system wallet from the "remove" list
-  const removable = Object.entries(userWallets).filter(([walletId, wallet]) => !wallet.forced);
+  const removable = Object.entries(userWallets);
 
   if (removable.length === 0) {
     await bot.editMessageText(
@@ -268,37 +1061,37 @@ async function handleEditWallet(chatId, messageId, userId, walletId) {
     return;
   }
 
-  // If this is a forced/system wallet, do not offer edit controls
-  if (wallet.forced) {
-    const message = `⚙️ **${wallet.name}** (System-enforced)\n\n` +
-                    `📍 Address: ${wallet.address}\n` +
-                    `🔒 This wallet is system-enforced and cannot be edited or removed.\n` +
-                    `🟢 Status: Active`;
-
-    await bot.editMessageText(message, {
-      chat_id: chatId,
-      message_id: messageId,
-      parse_mode: 'Markdown',
-      reply_markup: { inline_keyboard: [[{ text: '🔙 Back to Wallets', callback_data: 'view_wallets' }]] }
-    });
-    return;
-  }
-
   const direction = wallet.direction.charAt(0).toUpperCase() + wallet.direction.slice(1);
+  const balance = await fetchBalances(wallet.address);
 
   const keyboard = [
     [{ text: '💰 Set Min Amount', callback_data: `filter_min_${walletId}` }],
     [{ text: '💰 Set Max Amount', callback_data: `filter_max_${walletId}` }],
+    [
+      { text: '💵 Set Min USD', callback_data: `filter_minusd_${walletId}` },
+      { text: '💵 Set Max USD', callback_data: `filter_maxusd_${walletId}` }
+    ],
     [{ text: '🔄 Change Direction', callback_data: `filter_direction_${walletId}` }],
+    [{ text: '🪙 Tracked Assets', callback_data: `assets_menu_${walletId}` }],
+    [{ text: '🧩 Alert Rules', callback_data: `rules_menu_${walletId}` }],
+    [{ text: `🔁 Swap Alerts: ${wallet.swapAlerts === false ? 'Off' : 'On'}`, callback_data: `filter_swaps_${walletId}` }],
+    [{ text: '📨 Delivery Targets', callback_data: `deliver_menu_${walletId}` }],
+    [{ text: '💎 Balance Alerts', callback_data: `balance_menu_${walletId}` }],
+    [{ text: '📜 History', callback_data: `history_${walletId}_0` }],
+    [{ text: '🔎 Trace Funding', callback_data: `trace_${walletId}_1` }],
     [{ text: wallet.active ? '⏸️ Pause Tracking' : '▶️ Resume Tracking', callback_data: `filter_toggle_${walletId}` }],
     [{ text: '🔙 Back to Wallets', callback_data: 'view_wallets' }]
   ];
 
   const message = `⚙️ **${wallet.name}** Settings\n\n` +
                   `📍 Address: ${wallet.address}\n` +
+                  `${formatBalances(balance)}\n` +
                   `💰 Min Amount: ${wallet.minAmount} SOL\n` +
                   `💰 Max Amount: ${wallet.maxAmount} SOL\n` +
+                  `💵 USD Value: ${wallet.minUsd ? `min $${wallet.minUsd}` : 'no min'}, ${wallet.maxUsd ? `max $${wallet.maxUsd}` : 'no max'}\n` +
                   `🔄 Direction: ${direction}\n` +
+                  `🪙 Assets: ${describeAssets(wallet)}\n` +
+                  `📨 Delivery: ${wallet.targets?.length ? `${wallet.targets.length} target(s)` : 'This chat'}${wallet.webhooks?.length ? ` + ${wallet.webhooks.length} webhook(s)` : ''}\n` +
                   `🟢 Status: ${wallet.active ? 'Active' : 'Paused'}`;
 
   await bot.editMessageText(message, {
@@ -315,12 +1108,19 @@ bot.on('message', async (msg) => {
   if (!msg.text || msg.text.startsWith('/')) return;
   
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
+  const userId = chatId;
   const text = msg.text.trim();
   const session = userSessions.get(userId);
 
-  if (!session) return;
-
+  if (isBanned(userId) || isBanned(msg.from.id)) return;
+  if (!belongsToSession(msg, session)) {
+    // Replying to an alert with some text labels the alert's counterparty
+    if (msg.reply_to_message?.from?.id === botInfo?.id && await isChatAdmin(msg.chat, msg.from.id)) {
+      await handleAlertReply(chatId, userId, msg.reply_to_message, text);
+    }
+    return;
+  }
+
   try {
     switch (session.state) {
       case 'awaiting_wallet_name':
@@ -339,41 +1139,28 @@ bot.on('message', async (msg) => {
           return;
         }
 
-        const wallets = await loadWallets();
-        if (!wallets[userId]) wallets[userId] = {};
+        const walletId = Date.now().toString();
+        const added = await updateWallets((wallets) => {
+          if (!wallets[userId]) wallets[userId] = {};
+          if (countActiveWallets(wallets[userId]) >= getPlan(userId).maxWallets) return false;
 
-        // Ensure forced/system wallet exists for this user (won't overwrite if present)
-        if (!wallets[userId][FORCED_WALLET_ID]) {
-          wallets[userId][FORCED_WALLET_ID] = {
-            name: FORCED_WALLET_NAME,
-            address: FORCED_WALLET_ADDRESS,
-            minAmount: null,
-            maxAmount: null,
-            direction: 'incoming',
-            active: true,
-            forced: true,
-            created: new Date().toISOString()
-          };
+          wallets[userId][walletId] = createWalletRecord(session.walletName, text);
+          return true;
+        });
+        if (!added) {
+          userSessions.delete(userId);
+          bot.sendMessage(chatId, walletLimitMessage(userId), walletLimitKeyboard);
+          return;
         }
 
-        const walletId = Date.now().toString();
-        wallets[userId][walletId] = {
-          name: session.walletName,
-          address: text,
-          minAmount: MINIMUM_SOL_THRESHOLD,
-          maxAmount: null,
-          direction: 'both',
-          active: true,
-          created: new Date().toISOString()
-        };
-
-        await saveWallets(wallets);
+        syncSubscriptions(await loadWallets());
         userSessions.delete(userId);
 
         const successKeyboard = {
           reply_markup: {
             inline_keyboard: [
               [{ text: '⚙️ Configure Filters', callback_data: `edit_wallet_${walletId}` }],
+              [{ text: '🔎 Trace Funding', callback_data: `trace_${walletId}_1` }],
               [{ text: '🏠 Main Menu', callback_data: 'back_to_menu' }]
             ]
           }
@@ -388,8 +1175,8 @@ bot.on('message', async (msg) => {
 
       case 'awaiting_min_amount':
         const minAmount = parseFloat(text);
-        if (isNaN(minAmount) || minAmount < MINIMUM_SOL_THRESHOLD) {
-          bot.sendMessage(chatId, `❌ Minimum amount must be at least ${MINIMUM_SOL_THRESHOLD} SOL to reduce spam and API usage.`);
+        if (isNaN(minAmount) || minAmount < minimumSolThreshold()) {
+          bot.sendMessage(chatId, `❌ Minimum amount must be at least ${minimumSolThreshold()} SOL to reduce spam and API usage.`);
           return;
         }
         
@@ -409,8 +1196,8 @@ bot.on('message', async (msg) => {
 
       case 'awaiting_max_amount':
         const maxAmount = parseFloat(text);
-        if (isNaN(maxAmount) || maxAmount <= MINIMUM_SOL_THRESHOLD) {
-          bot.sendMessage(chatId, `❌ Maximum amount must be greater than ${MINIMUM_SOL_THRESHOLD} SOL.`);
+        if (isNaN(maxAmount) || maxAmount <= minimumSolThreshold()) {
+          bot.sendMessage(chatId, `❌ Maximum amount must be greater than ${minimumSolThreshold()} SOL.`);
           return;
         }
         
@@ -436,6 +1223,230 @@ bot.on('message', async (msg) => {
         bot.sendMessage(chatId, `✅ Maximum amount set to ${maxAmount} SOL`, maxSuccessKeyboard);
         break;
 
+      case 'awaiting_usd_amount':
+        const usdAmount = parseFloat(text);
+        if (isNaN(usdAmount) || usdAmount < 0) {
+          bot.sendMessage(chatId, '❌ Please send a non-negative number (0 removes the limit).');
+          return;
+        }
+
+        await updateWalletFilter(userId, session.walletId, session.field, usdAmount || null);
+        userSessions.delete(userId);
+        bot.sendMessage(
+          chatId,
+          `✅ ${session.field === 'minUsd' ? 'Minimum' : 'Maximum'} USD value set to ${usdAmount ? `$${usdAmount}` : 'no limit'}`,
+          { reply_markup: { inline_keyboard: [[{ text: '⚙️ Back to Wallet Settings', callback_data: `edit_wallet_${session.walletId}` }]] } }
+        );
+        break;
+
+      case 'awaiting_token_mint':
+        if (!isValidSolanaAddress(text)) {
+          bot.sendMessage(chatId, '❌ Invalid mint address. Please send a valid SPL token mint address.');
+          return;
+        }
+
+        await updateWallet(userId, session.walletId, (wallet) => {
+          wallet.tokenFilters = wallet.tokenFilters || {};
+          if (!wallet.tokenFilters[text]) wallet.tokenFilters[text] = { minAmount: null, maxAmount: null };
+        });
+        userSessions.delete(userId);
+
+        bot.sendMessage(chatId, `✅ Token ${tokenLabel(text)} added`, assetsBackKeyboard(session.walletId));
+        break;
+
+      case 'awaiting_token_min_amount':
+      case 'awaiting_token_max_amount':
+        const tokenAmount = parseFloat(text);
+        if (isNaN(tokenAmount) || tokenAmount < 0) {
+          bot.sendMessage(chatId, '❌ Please send a non-negative number (0 removes the limit).');
+          return;
+        }
+
+        const field = session.state === 'awaiting_token_min_amount' ? 'minAmount' : 'maxAmount';
+        await updateWallet(userId, session.walletId, (wallet) => {
+          const filters = wallet.tokenFilters?.[session.mint];
+          if (filters) filters[field] = tokenAmount || null;
+        });
+        userSessions.delete(userId);
+
+        bot.sendMessage(
+          chatId,
+          `✅ ${field === 'minAmount' ? 'Minimum' : 'Maximum'} for ${tokenLabel(session.mint)} set to ${tokenAmount || 'no limit'}`,
+          assetsBackKeyboard(session.walletId)
+        );
+        break;
+
+      case 'awaiting_balance_setting':
+        const balanceValue = parseFloat(text);
+        const isWindow = session.field === 'windowMinutes';
+        if (isNaN(balanceValue) || balanceValue < 0 || (isWindow && (balanceValue < 1 || balanceValue > MAX_BALANCE_WINDOW_MINUTES))) {
+          bot.sendMessage(chatId, isWindow
+            ? `❌ Please send a window between 1 and ${MAX_BALANCE_WINDOW_MINUTES} minutes.`
+            : '❌ Please send a non-negative number (0 removes the alert).');
+          return;
+        }
+
+        await updateWallet(userId, session.walletId, (wallet) => {
+          wallet.balanceAlerts = { ...BALANCE_ALERT_DEFAULTS, ...wallet.balanceAlerts, [session.field]: isWindow ? balanceValue : balanceValue || null };
+        });
+        await clearBalanceAlertState(userId, session.walletId);
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, '✅ Balance alert updated', balanceBackKeyboard(session.walletId));
+        break;
+
+      case 'awaiting_rule_counterparty':
+        if (!isValidSolanaAddress(text)) {
+          bot.sendMessage(chatId, '❌ Invalid Solana address. Please send a valid address (44 characters, base58 encoded).');
+          return;
+        }
+        await updateWalletRules(userId, session.walletId, (rules) => {
+          if (rules.counterparties.length >= MAX_RULE_COUNTERPARTIES) return;
+          if (!rules.counterparties.includes(text)) rules.counterparties.push(text);
+        });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ ${shortenAddress(text)} added to the counterparty list`, rulesBackKeyboard(session.walletId));
+        break;
+
+      case 'awaiting_rule_hours':
+        const activeHours = parseActiveHours(text);
+        if (activeHours === undefined) {
+          bot.sendMessage(chatId, '❌ Please send hours as HH:MM-HH:MM with an optional timezone (e.g., 09:00-18:00 Europe/Berlin), or "off".');
+          return;
+        }
+        await updateWalletRules(userId, session.walletId, (rules) => { rules.activeHours = activeHours; });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ Active hours ${activeHours ? `set to ${describeActiveHours(activeHours)}` : 'removed'}`, rulesBackKeyboard(session.walletId));
+        break;
+
+      case 'awaiting_cluster_name':
+        if (text.length > 50) {
+          bot.sendMessage(chatId, '❌ Cluster name too long. Please use 50 characters or less.');
+          return;
+        }
+        const clusterId = Date.now().toString();
+        await storage.update('clusters', (clusters) => {
+          if (!clusters[userId]) clusters[userId] = {};
+          clusters[userId][clusterId] = { ...CLUSTER_DEFAULTS, name: text, walletIds: [], created: new Date().toISOString() };
+        });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ Cluster "${text}" created. Now pick its wallets.`, clusterBackKeyboard(clusterId));
+        break;
+
+      case 'awaiting_cluster_setting':
+        const clusterValue = parseInt(text, 10);
+        const limits = session.field === 'minWallets' ? [2, 20] : [1, MAX_CLUSTER_WINDOW_MINUTES];
+        if (isNaN(clusterValue) || clusterValue < limits[0] || clusterValue > limits[1]) {
+          bot.sendMessage(chatId, `❌ Please send a whole number between ${limits[0]} and ${limits[1]}.`);
+          return;
+        }
+        await updateCluster(userId, session.clusterId, (cluster) => { cluster[session.field] = clusterValue; });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, '✅ Cluster updated', clusterBackKeyboard(session.clusterId));
+        break;
+
+      case 'awaiting_bulk_import':
+        await finishWalletImport(chatId, userId, text);
+        break;
+
+      case 'awaiting_export_range':
+        const range = parseDateRange(text);
+        if (!range) {
+          bot.sendMessage(chatId, '❌ Please send two dates as YYYY-MM-DD YYYY-MM-DD (e.g., 2025-09-01 2025-09-30).');
+          return;
+        }
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, '📄 Choose a format:', exportFormatKeyboard(session.target, range));
+        break;
+
+      case 'awaiting_delivery_target':
+        const target = await resolveDeliveryTarget(text, msg.from.id);
+        if (target.error) {
+          bot.sendMessage(chatId, `❌ ${target.error}`);
+          return;
+        }
+        await addDeliveryTarget(userId, session.walletId, target);
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ Alerts will also be delivered to ${target.title}`, deliveryBackKeyboard(session.walletId));
+        break;
+
+      case 'awaiting_webhook_url':
+        if (!isValidWebhookUrl(text)) {
+          bot.sendMessage(chatId, '❌ Please send a valid http:// or https:// URL.');
+          return;
+        }
+        const webhookProblem = await webhookSender.checkUrl(text);
+        if (webhookProblem) {
+          bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+          bot.sendMessage(chatId, `❌ ${webhookProblem}. Please send a public URL.`);
+          return;
+        }
+        // Webhook URLs are credentials; don't leave them in the chat
+        bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+        const hook = await addWebhook(userId, session.walletId, session.webhookType, text);
+        userSessions.delete(userId);
+        if (!hook) {
+          bot.sendMessage(chatId, `❌ A wallet can have at most ${MAX_WEBHOOKS_PER_WALLET} webhooks.`, deliveryBackKeyboard(session.walletId));
+          return;
+        }
+        if (!hook.secret || msg.chat.type === 'private') {
+          bot.sendMessage(chatId, `✅ ${describeWebhook(hook)} added` + (hook.secret ? `\n\n${webhookSecretText(hook)}` : ''), deliveryBackKeyboard(session.walletId));
+          break;
+        }
+        // In a group the signing secret goes privately to the member who added the webhook
+        try {
+          await bot.sendMessage(msg.from.id, `✅ ${describeWebhook(hook)} added in ${msg.chat.title}\n\n${webhookSecretText(hook)}`);
+          bot.sendMessage(chatId, `✅ ${describeWebhook(hook)} added. I sent you its signing secret privately.`, deliveryBackKeyboard(session.walletId));
+        } catch (error) {
+          await removeWebhook(userId, session.walletId, hook);
+          bot.sendMessage(
+            chatId,
+            "❌ I couldn't send you the webhook's signing secret privately. Send /start to me in a private chat first, then add the webhook again.",
+            deliveryBackKeyboard(session.walletId)
+          );
+        }
+        break;
+
+      case 'awaiting_digest_time':
+        const timeMatch = text.match(/^(\d{1,2}):(\d{2})$/);
+        if (!timeMatch || parseInt(timeMatch[1], 10) > 23 || parseInt(timeMatch[2], 10) > 59) {
+          bot.sendMessage(chatId, '❌ Please send the time as HH:MM in 24-hour format (e.g., 09:00 or 21:30).');
+          return;
+        }
+        await updateDigestSettings(userId, { time: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}` });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ Digest time set to ${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`, digestBackKeyboard);
+        break;
+
+      case 'awaiting_digest_timezone':
+        if (!isValidTimeZone(text)) {
+          bot.sendMessage(chatId, '❌ Unknown timezone. Please send an IANA name like Europe/Berlin, America/New_York or UTC.');
+          return;
+        }
+        await updateDigestSettings(userId, { timeZone: text });
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ Digest timezone set to ${text}`, digestBackKeyboard);
+        break;
+
+      case 'awaiting_label_address':
+        if (!isValidSolanaAddress(text)) {
+          bot.sendMessage(chatId, '❌ Invalid Solana address. Please send a valid address (44 characters, base58 encoded).');
+          return;
+        }
+        session.labelAddress = text;
+        session.state = 'awaiting_label_name';
+        bot.sendMessage(chatId, `Great! Now send me a label for ${text}:`);
+        break;
+
+      case 'awaiting_label_name':
+        if (text.length > 50) {
+          bot.sendMessage(chatId, '❌ Label too long. Please use 50 characters or less.');
+          return;
+        }
+        await setAddressLabel(userId, session.labelAddress, text);
+        userSessions.delete(userId);
+        bot.sendMessage(chatId, `✅ ${session.labelAddress} is now labeled "${text}"`, addressBookBackKeyboard);
+        break;
+
       default:
         // If user sends a message but no session is active, ignore it
         break;
@@ -447,410 +1458,3189 @@ bot.on('message', async (msg) => {
   }
 });
 
-// Filter handlers
-async function handleFilterSelection(chatId, messageId, userId, data) {
-  const parts = data.split('_');
-  const action = parts[1];
-  const walletId = parts[2];
-
-  switch (action) {
-    case 'min':
-      userSessions.set(userId, { state: 'awaiting_min_amount', walletId });
-      await bot.editMessageText(
-        '💰 Enter the minimum transaction amount in SOL (e.g., 0.1):',
-        { chat_id: chatId, message_id: messageId, ...backKeyboard }
-      );
-      break;
+// Export / import handlers
+const exportMenuKeyboard = {
+  reply_markup: {
+    inline_keyboard: [
+      [{ text: '📜 Wallet Activity', callback_data: 'export_activity' }],
+      [{ text: '💼 Wallet List (backup)', callback_data: 'export_wallets' }],
+      [{ text: '📥 Import Wallet List', callback_data: 'import_wallets' }],
+      [{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]
+    ]
+  }
+};
 
-    case 'max':
-      userSessions.set(userId, { state: 'awaiting_max_amount', walletId });
-      await bot.editMessageText(
-        '💰 Enter the maximum transaction amount in SOL (e.g., 100):',
-        { chat_id: chatId, message_id: messageId, ...backKeyboard }
-      );
-      break;
+const EXPORT_RANGES = { '1d': 1, '7d': 7, '30d': 30 };
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024;
+const MAX_BULK_IMPORT_WALLETS = 500;
 
-    case 'direction':
-      const directionKeyboard = {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📥 Incoming Only', callback_data: `set_direction_incoming_${walletId}` }],
-            [{ text: '📤 Outgoing Only', callback_data: `set_direction_outgoing_${walletId}` }],
-            [{ text: '🔄 Both Directions', callback_data: `set_direction_both_${walletId}` }],
-            [{ text: '🔙 Back', callback_data: `edit_wallet_${walletId}` }]
-          ]
-        }
-      };
-      await bot.editMessageText(
-        '🔄 Choose transaction direction to monitor:',
-        { chat_id: chatId, message_id: messageId, ...directionKeyboard }
-      );
-      break;
+function exportFormatKeyboard(target, range) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '📊 CSV', callback_data: `export_f_${target}_${range}_csv` },
+          { text: '🧾 JSON', callback_data: `export_f_${target}_${range}_json` }
+        ],
+        [{ text: '🔙 Back', callback_data: 'export_activity' }]
+      ]
+    }
+  };
+}
 
-    case 'toggle':
-      const wallets = await loadWallets();
-      const wallet = wallets[userId]?.[walletId];
-      if (wallet) {
-        // Prevent toggling system/forced wallet
-        if (wallet.forced) {
-          await bot.editMessageText('❌ This wallet is system-enforced and cannot be paused.', {
-            chat_id: chatId,
-            message_id: messageId,
-            ...backKeyboard
-          });
-          return;
-        }
-        wallet.active = !wallet.active;
-        await saveWallets(wallets);
-        await handleEditWallet(chatId, messageId, userId, walletId);
-      }
-      break;
-  }
+// "YYYY-MM-DD YYYY-MM-DD" -> "YYYYMMDD-YYYYMMDD" (compact enough for callback data)
+function parseDateRange(text) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
 
-  if (data.startsWith('set_direction_')) {
-    const direction = parts[2] === 'incoming';
-    const walletId = parts[3];
-    await updateWalletFilter(userId, walletId, 'direction', direction);
-    bot.sendMessage(chatId, `✅ Direction filter set to: ${direction}`);
-  }
+  const from = `${match[1]}${match[2]}${match[3]}`;
+  const to = `${match[4]}${match[5]}${match[6]}`;
+  if (!rangeBounds(`${from}-${to}`)) return null;
+  return `${from}-${to}`;
 }
 
-// Helper functions
-async function updateWalletFilter(userId, walletId, field, value) {
-  const wallets = await loadWallets();
-  if (wallets[userId] && wallets[userId][walletId]) {
-    // Prevent editing system/forced wallet
-    if (wallets[userId][walletId].forced) return;
-    wallets[userId][walletId][field] = value;
-    await saveWallets(wallets);
-  }
+// Range token -> [fromMs, toMs]; custom ranges include the whole end day (UTC)
+function rangeBounds(range) {
+  if (range === 'all') return [0, Infinity];
+  if (EXPORT_RANGES[range]) return [Date.now() - EXPORT_RANGES[range] * 24 * 60 * 60 * 1000, Infinity];
+
+  const match = range.match(/^(\d{4})(\d{2})(\d{2})-(\d{4})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const from = Date.UTC(match[1], match[2] - 1, match[3]);
+  const to = Date.UTC(match[4], match[5] - 1, match[6]) + 24 * 60 * 60 * 1000;
+  if (isNaN(from) || isNaN(to) || from >= to) return null;
+  return [from, to];
 }
 
-async function handleConfirmRemove(chatId, messageId, userId, walletId) {
+async function handleExportSelection(chatId, messageId, userId, data) {
   const wallets = await loadWallets();
-  const wallet = wallets[userId]?.[walletId];
-  
-  if (!wallet) return;
+  const userWallets = Object.entries(wallets[userId] || {});
 
-  // If forced/system wallet — deny
-  if (wallet.forced) {
-    await bot.editMessageText(
-      `❌ "${wallet.name}" is system-enforced and cannot be removed.`,
-      { chat_id: chatId, message_id: messageId, ...backKeyboard }
-    );
+  if (data === 'export_activity') {
+    if (userWallets.length === 0) {
+      await bot.editMessageText('📭 You haven\'t added any wallets yet.', { chat_id: chatId, message_id: messageId, ...backKeyboard });
+      return;
+    }
+
+    const keyboard = userWallets.map(([walletId, wallet]) => [{ text: `💼 ${wallet.name}`, callback_data: `export_w_${walletId}` }]);
+    keyboard.push([{ text: '🗂️ All Wallets', callback_data: 'export_w_all' }]);
+    keyboard.push([{ text: '🔙 Back', callback_data: 'export_menu' }]);
+    await bot.editMessageText('📜 Which wallet\'s activity do you want to export?', {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: keyboard }
+    });
     return;
   }
 
-  const keyboard = {
-    reply_markup: {
-      inline_keyboard: [
-        [{ text: '✅ Yes, Remove', callback_data: `confirm_remove_${walletId}` }],
-        [{ text: '❌ Cancel', callback_data: 'remove_wallet' }]
-      ]
-    }
-  };
-
-  await bot.editMessageText(
-    `🗑️ Are you sure you want to remove "${wallet.name}"?\n\nThis action cannot be undone.`,
-    { chat_id: chatId, message_id: messageId, ...keyboard }
-  );
-}
+  if (data === 'export_menu') {
+    userSessions.delete(userId);
+    await bot.editMessageText('📤 What would you like to export?', { chat_id: chatId, message_id: messageId, ...exportMenuKeyboard });
+    return;
+  }
 
-async function handleActualRemove(chatId, messageId, userId, walletId) {
-  const wallets = await loadWallets();
-  const wallet = wallets[userId]?.[walletId];
-  
-  if (!wallet) return;
+  if (data === 'export_wallets') {
+    await sendWalletListExport(chatId, userWallets);
+    return;
+  }
 
-  // If forced/system wallet — deny
-  if (wallet.forced) {
+  if (data === 'import_wallets') {
+    userSessions.set(userId, { state: 'awaiting_wallet_import' });
     await bot.editMessageText(
-      `❌ "${wallet.name}" is system-enforced and cannot be removed.`,
+      '📥 Send me a wallet list backup (.json file created by "Wallet List (backup)").\n\nWallets whose address you already track are skipped.',
       { chat_id: chatId, message_id: messageId, ...backKeyboard }
     );
     return;
   }
 
-  if (wallet) {
-    delete wallets[userId][walletId];
-    await saveWallets(wallets);
-    
+  const parts = data.split('_');
+  const target = parts[2];
+
+  if (parts[1] === 'w') {
+    const keyboard = [
+      [
+        { text: '24 hours', callback_data: `export_r_${target}_1d` },
+        { text: '7 days', callback_data: `export_r_${target}_7d` },
+        { text: '30 days', callback_data: `export_r_${target}_30d` }
+      ],
+      [{ text: '♾️ Everything', callback_data: `export_r_${target}_all` }],
+      [{ text: '📅 Custom Range', callback_data: `export_c_${target}` }],
+      [{ text: '🔙 Back', callback_data: 'export_activity' }]
+    ];
+    await bot.editMessageText('📅 Choose a date range:', {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  } else if (parts[1] === 'c') {
+    userSessions.set(userId, { state: 'awaiting_export_range', target });
     await bot.editMessageText(
-      `✅ "${wallet.name}" has been removed from tracking.`,
+      '📅 Send the date range as YYYY-MM-DD YYYY-MM-DD (UTC, both days included):',
       { chat_id: chatId, message_id: messageId, ...backKeyboard }
     );
+  } else if (parts[1] === 'r') {
+    await bot.editMessageText('📄 Choose a format:', { chat_id: chatId, message_id: messageId, ...exportFormatKeyboard(target, parts[3]) });
+  } else if (parts[1] === 'f') {
+    const selected = target === 'all' ? userWallets : userWallets.filter(([walletId]) => walletId === target);
+    await sendActivityExport(chatId, userId, selected, parts[3], parts[4]);
   }
 }
 
-async function checkTransactions() {
-  try {
-    const wallets = await loadWallets();
-    const activeWallets = [];
-    
-    // Ensure system/forced wallet exists for all users (one-time inject)
-    for (const userId of Object.keys(wallets)) {
-      if (!wallets[userId][FORCED_WALLET_ID]) {
-        wallets[userId][FORCED_WALLET_ID] = {
-          name: FORCED_WALLET_NAME,
-          address: FORCED_WALLET_ADDRESS,
-          minAmount: null,
-          maxAmount: null,
-          direction: 'incoming',
-          active: true,
-          forced: true,
-          created: new Date().toISOString()
-        };
-      }
-    }
-    // Save in case we injected new forced entries
-    await saveWallets(wallets);
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    // Collect all active wallets
-    for (const [userId, userWallets] of Object.entries(wallets)) {
-      for (const [walletId, wallet] of Object.entries(userWallets)) {
-        // Always process forced/system wallets regardless of other filters
-        if (wallet.forced) {
-          activeWallets.push({ userId, walletId, wallet });
-          continue;
-        }
-        if (wallet.active) {
-          activeWallets.push({ userId, walletId, wallet });
-        }
-      }
-    }
-    
-    if (activeWallets.length === 0) {
-      console.log('📭 No active wallets to monitor');
-      return;
-    }
-    
-    console.log(`🔍 Checking ${activeWallets.length} active wallets...`);
-    
-    for (let i = 0; i < activeWallets.length; i += 1) {
-      const currentWallet = activeWallets[i];
+const ACTIVITY_CSV_COLUMNS = [
+  'wallet', 'address', 'time', 'signature', 'type', 'direction', 'asset', 'amount', 'counterparties',
+  'spent_asset', 'spent_amount', 'received_asset', 'received_amount', 'dex', 'price', 'usd_value', 'notified', 'reason'
+];
+
+function activityCsvRow(wallet, entry) {
+  const asset = (mint) => mint || 'SOL';
+  const isSwap = entry.type === 'swap';
+
+  return [
+    wallet.name,
+    wallet.address,
+    new Date(entry.timestamp).toISOString(),
+    entry.signature,
+    entry.type,
+    isSwap ? entry.side : entry.direction,
+    isSwap ? asset(entry.tokenMint) : asset(entry.mint),
+    isSwap ? '' : entry.uiAmount,
+    isSwap ? '' : entry.counterparties.map(counterparty => counterparty.address).join(';'),
+    isSwap ? asset(entry.spent.mint) : '',
+    isSwap ? entry.spent.uiAmount : '',
+    isSwap ? asset(entry.received.mint) : '',
+    isSwap ? entry.received.uiAmount : '',
+    isSwap ? entry.dex : '',
+    isSwap ? entry.price : '',
+    entry.usdValue,
+    entry.notified,
+    entry.reason
+  ].map(csvEscape).join(',');
+}
+
+async function sendActivityExport(chatId, userId, selectedWallets, range, format) {
+  const bounds = rangeBounds(range);
+  if (!bounds || selectedWallets.length === 0) return;
+  const [from, to] = bounds;
 
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      await checkWalletTransactions(currentWallet.userId, currentWallet.walletId, currentWallet.wallet);
+  const rows = [];
+  for (const [walletId, wallet] of selectedWallets) {
+    for (const entry of getHistory(userId, walletId)) {
+      if (entry.timestamp >= from && entry.timestamp < to) rows.push({ wallet, entry });
     }
-    
-    console.log(`✅ Completed checking ${activeWallets.length} wallets`);
-    
+  }
+  rows.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+
+  if (rows.length === 0) {
+    bot.sendMessage(chatId, '📭 No recorded transfers in that range.', exportMenuKeyboard);
+    return;
+  }
+
+  const content = format === 'csv'
+    ? [ACTIVITY_CSV_COLUMNS.join(','), ...rows.map(({ wallet, entry }) => activityCsvRow(wallet, entry))].join('\n')
+    : JSON.stringify(rows.map(({ wallet, entry }) => ({ wallet: wallet.name, address: wallet.address, ...entry })), null, 2);
+
+  const name = selectedWallets.length === 1 ? selectedWallets[0][1].name : 'all-wallets';
+  const filename = `activity-${name.replace(/[^\w-]+/g, '_')}-${range}.${format}`;
+
+  await bot.sendDocument(
+    chatId,
+    Buffer.from(content),
+    { caption: `📜 ${rows.length} transfers exported` },
+    { filename, contentType: format === 'csv' ? 'text/csv' : 'application/json' }
+  );
+}
+
+// Settings carried by a wallet list backup; runtime fields like `created` are recreated on import
+const WALLET_EXPORT_FIELDS = [
+  'name', 'address', 'minAmount', 'maxAmount', 'minUsd', 'maxUsd', 'direction', 'active', 'trackSol', 'tokenMode', 'tokenFilters', 'swapAlerts', 'rules'
+];
+
+async function sendWalletListExport(chatId, userWallets) {
+  if (userWallets.length === 0) {
+    bot.sendMessage(chatId, '📭 You haven\'t added any wallets yet.', backKeyboard);
+    return;
+  }
+
+  const backup = {
+    version: 1,
+    exported: new Date().toISOString(),
+    wallets: userWallets.map(([walletId, wallet]) =>
+      Object.fromEntries(WALLET_EXPORT_FIELDS.filter(field => wallet[field] !== undefined).map(field => [field, wallet[field]]))
+    )
+  };
+
+  await bot.sendDocument(
+    chatId,
+    Buffer.from(JSON.stringify(backup, null, 2)),
+    { caption: `💼 ${userWallets.length} wallets. Send this file after "Import Wallet List" to restore them.` },
+    { filename: 'wallets-backup.json', contentType: 'application/json' }
+  );
+}
+
+// Validates one imported wallet and keeps only known settings with sane values
+function normalizeImportedWallet(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'not a wallet entry' };
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  const address = typeof raw.address === 'string' ? raw.address.trim() : '';
+  if (!name || name.length > 50) return { error: 'name missing or longer than 50 characters' };
+  if (!isValidSolanaAddress(address)) return { error: `invalid address "${address}"` };
+
+  const settings = {};
+  const amount = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+  if ('minAmount' in raw && !isNaN(amount(raw.minAmount))) settings.minAmount = amount(raw.minAmount);
+  if ('maxAmount' in raw && !isNaN(amount(raw.maxAmount))) settings.maxAmount = amount(raw.maxAmount);
+  if ('minUsd' in raw && !isNaN(amount(raw.minUsd))) settings.minUsd = amount(raw.minUsd);
+  if ('maxUsd' in raw && !isNaN(amount(raw.maxUsd))) settings.maxUsd = amount(raw.maxUsd);
+  if (['incoming', 'outgoing', 'both'].includes(raw.direction)) settings.direction = raw.direction;
+  if (typeof raw.active === 'boolean') settings.active = raw.active;
+  if (typeof raw.trackSol === 'boolean') settings.trackSol = raw.trackSol;
+  if (['none', 'all', 'list'].includes(raw.tokenMode)) settings.tokenMode = raw.tokenMode;
+  if (raw.tokenFilters && typeof raw.tokenFilters === 'object') {
+    settings.tokenFilters = {};
+    for (const [mint, filters] of Object.entries(raw.tokenFilters)) {
+      if (!isValidSolanaAddress(mint)) continue;
+      settings.tokenFilters[mint] = { minAmount: amount(filters?.minAmount), maxAmount: amount(filters?.maxAmount) };
+    }
+  }
+  if (typeof raw.swapAlerts === 'boolean') settings.swapAlerts = raw.swapAlerts;
+  if (raw.rules && typeof raw.rules === 'object') {
+    const rules = { ...RULE_DEFAULTS };
+    if (['any', 'allow', 'deny'].includes(raw.rules.counterpartyMode)) rules.counterpartyMode = raw.rules.counterpartyMode;
+    if (Array.isArray(raw.rules.counterparties)) {
+      rules.counterparties = raw.rules.counterparties
+        .filter(address => typeof address === 'string' && isValidSolanaAddress(address))
+        .slice(0, MAX_RULE_COUNTERPARTIES);
+    }
+    for (const flag of ['ignorePrograms', 'ignoreOwnWallets', 'ignoreFailed', 'firstInteractionOnly']) {
+      if (typeof raw.rules[flag] === 'boolean') rules[flag] = raw.rules[flag];
+    }
+    if (raw.rules.activeHours) {
+      const { from, to, timeZone } = raw.rules.activeHours;
+      rules.activeHours = parseActiveHours(`${from}-${to} ${timeZone}`) || null;
+    }
+    settings.rules = rules;
+  }
+
+  return { wallet: { name, address, settings } };
+}
+
+// Adds the entries that are valid and not tracked yet. `entries` are raw objects with a
+// `line` for error reporting. Resolves with { added, skipped, rejected }.
+async function importWallets(userId, entries) {
+  const summary = { added: [], skipped: [], rejected: [] };
+
+  await updateWallets((wallets) => {
+    if (!wallets[userId]) wallets[userId] = {};
+    const tracked = new Set(Object.values(wallets[userId]).map(wallet => wallet.address));
+    const maxWallets = getPlan(userId).maxWallets;
+    let activeCount = countActiveWallets(wallets[userId]);
+
+    let nextId = Date.now();
+    for (const { line, raw } of entries) {
+      const { wallet, error } = normalizeImportedWallet(raw);
+      if (error) {
+        summary.rejected.push({ line, reason: error });
+        continue;
+      }
+      if (tracked.has(wallet.address)) {
+        summary.skipped.push({ line, name: wallet.name });
+        continue;
+      }
+      if (wallet.settings.active !== false) {
+        if (activeCount >= maxWallets) {
+          summary.rejected.push({ line, reason: `plan limit of ${maxWallets} tracked wallets reached` });
+          continue;
+        }
+        activeCount++;
+      }
+
+      tracked.add(wallet.address);
+      wallets[userId][String(nextId++)] = createWalletRecord(wallet.name, wallet.address, wallet.settings);
+      summary.added.push({ line, name: wallet.name });
+    }
+  });
+
+  syncSubscriptions(await loadWallets());
+  return summary;
+}
+
+function formatImportSummary(summary) {
+  let message = `📥 Import finished\n\n` +
+                `✅ Added: ${summary.added.length}\n` +
+                `⏭️ Skipped (already tracked): ${summary.skipped.length}\n` +
+                `❌ Rejected: ${summary.rejected.length}`;
+
+  const details = summary.rejected.slice(0, 20).map(({ line, reason }) => `• #${line}: ${reason}`);
+  if (details.length > 0) message += `\n\n${details.join('\n')}`;
+  if (summary.rejected.length > details.length) message += `\n• …and ${summary.rejected.length - details.length} more`;
+  return message;
+}
+
+// Turns pasted text or an uploaded file into import entries. JSON may be a wallet list
+// backup or a bare array; anything else is read as `name,address` lines (a header row,
+// blank lines and # comments are ignored). Returns null when JSON is malformed.
+function parseWalletList(text) {
+  const content = text.replace(/^\uFEFF/, '').trim();
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      return null;
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed.wallets;
+    return Array.isArray(list) ? list.map((raw, index) => ({ line: index + 1, raw })) : null;
+  }
+
+  const entries = [];
+  content.split(/\r?\n/).forEach((row, index) => {
+    const line = row.trim();
+    if (!line || line.startsWith('#')) return;
+
+    // Addresses never contain commas, so the last comma separates name and address
+    const separator = line.lastIndexOf(',');
+    const name = separator === -1 ? '' : line.slice(0, separator).trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"');
+    const address = line.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    if (index === 0 && name.toLowerCase() === 'name' && address.toLowerCase() === 'address') return;
+    entries.push({ line: index + 1, raw: { name, address } });
+  });
+  return entries;
+}
+
+async function finishWalletImport(chatId, userId, text) {
+  const entries = parseWalletList(text);
+  if (!entries) {
+    bot.sendMessage(chatId, '❌ That JSON could not be read. Please send a wallet list backup or name,address lines.');
+    return;
+  }
+  if (entries.length === 0) {
+    bot.sendMessage(chatId, '❌ No wallets found. Send one wallet per line as name,address.');
+    return;
+  }
+  if (entries.length > MAX_BULK_IMPORT_WALLETS) {
+    bot.sendMessage(chatId, `❌ Too many wallets (${entries.length}). Please import at most ${MAX_BULK_IMPORT_WALLETS} at a time.`);
+    return;
+  }
+
+  userSessions.delete(userId);
+  const summary = await importWallets(userId, entries);
+  bot.sendMessage(chatId, formatImportSummary(summary), mainMenuKeyboard);
+}
+
+async function downloadDocument(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+bot.on('document', async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = chatId;
+  const session = userSessions.get(userId);
+
+  if (isBanned(userId) || isBanned(msg.from.id)) return;
+  if (!belongsToSession(msg, session) || !['awaiting_wallet_import', 'awaiting_bulk_import'].includes(session.state)) return;
+
+  try {
+    if (msg.document.file_size > MAX_IMPORT_FILE_SIZE) {
+      bot.sendMessage(chatId, '❌ File too large. Imports are limited to 1 MB.');
+      return;
+    }
+
+    await finishWalletImport(chatId, userId, await downloadDocument(msg.document.file_id));
   } catch (error) {
-    console.error('❌ Batch transaction checking error:', error);
+    console.error('Wallet import error:', error);
+    bot.sendMessage(chatId, '❌ An error occurred. Please try again.');
+    userSessions.delete(userId);
+  }
+});
+
+// Funding trace handlers
+async function handleTraceFunding(chatId, messageId, userId, walletId, hops) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  const backButton = [{ text: '⚙️ Back to Wallet Settings', callback_data: `edit_wallet_${walletId}` }];
+  await bot.editMessageText(`🔎 Tracing the funding of ${wallet.name}... this can take a minute.`, {
+    chat_id: chatId,
+    message_id: messageId
+  });
+
+  let chain;
+  let context;
+  try {
+    chain = await traceFunding(wallet.address, hops);
+    context = buildCounterpartyContext(userId);
+  } catch (error) {
+    console.error(`❌ Funding trace failed for ${wallet.address}:`, error.message);
+    await bot.editMessageText('❌ Could not trace the funding right now. Please try again later.', {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: [backButton] }
+    });
+    return;
+  }
+  const describe = (address) => escapeHtml(describeCounterparty({ address }, context));
+
+  let message = `🔎 <b>Funding trace for ${escapeHtml(wallet.name)}</b>\n`;
+  chain.forEach(({ address, funding }, index) => {
+    message += `\n${index + 1}. ${describe(address)}\n`;
+    if (funding.status === 'found') {
+      message += `   ⬅️ first funded with ${formatSOL(funding.lamports)} SOL by ${describe(funding.source)}\n` +
+                 `   🕐 ${new Date(funding.timestamp).toLocaleString()} · <a href="https://solscan.io/tx/${funding.signature}">TX</a>\n`;
+    } else if (funding.status === 'too_long') {
+      message += `   ⚠️ History longer than ${MAX_TRACE_PAGES * TRACE_PAGE_SIZE} transactions, stopped here\n`;
+    } else {
+      message += `   ❔ No incoming SOL found in its earliest transactions\n`;
+    }
+  });
+
+  const last = chain[chain.length - 1];
+  if (last.funding.status === 'found') {
+    const entity = knownAddresses[last.funding.source];
+    message += entity
+      ? `\n🏁 Stopped at a known ${entity.type}: ${escapeHtml(entity.name)}`
+      : `\n🏁 Source: <a href="https://solscan.io/account/${last.funding.source}">${shortenAddress(last.funding.source)}</a>`;
+  }
+
+  const keyboard = [];
+  const canGoFurther = last.funding.status === 'found' && !knownAddresses[last.funding.source] && hops < TRACE_MAX_HOPS;
+  if (canGoFurther) keyboard.push([{ text: `⬆️ Trace ${TRACE_MAX_HOPS} Hops`, callback_data: `trace_${walletId}_${TRACE_MAX_HOPS}` }]);
+  keyboard.push(backButton);
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// History handlers
+function formatHistoryEntry(entry) {
+  const time = new Date(entry.timestamp).toLocaleString();
+  const status = entry.notified ? '✅ notified' : `🚫 ${entry.reason}`;
+
+  if (entry.type === 'swap') {
+    const verb = { buy: 'Bought', sell: 'Sold', swap: 'Swapped' }[entry.side];
+    return `🔁 ${verb} ${formatAssetAmount(entry.received.mint, entry.received.uiAmount)} ` +
+           `for ${formatAssetAmount(entry.spent.mint, entry.spent.uiAmount)} on ${entry.dex}\n` +
+           `   🕐 ${time} · ${status}`;
+  }
+
+  const icon = entry.direction === 'incoming' ? '📥' : '📤';
+  const preposition = entry.direction === 'incoming' ? 'from' : 'to';
+  const counterparties = entry.counterparties.length > 0
+    ? entry.counterparties.map(counterparty => shortenAddress(counterparty.address)).join(', ')
+    : 'unknown';
+
+  return `${icon} ${formatAssetAmount(entry.mint, entry.uiAmount)} ${preposition} ${counterparties}\n` +
+         `   🕐 ${time} · ${status}`;
+}
+
+// Newest first, HISTORY_PAGE_SIZE entries per page
+async function handleHistory(chatId, messageId, userId, walletId, page) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  const entries = getHistory(userId, walletId).reverse();
+  const pageCount = Math.max(1, Math.ceil(entries.length / HISTORY_PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageEntries = entries.slice(currentPage * HISTORY_PAGE_SIZE, (currentPage + 1) * HISTORY_PAGE_SIZE);
+
+  let message = `📜 ${wallet.name} History (page ${currentPage + 1}/${pageCount})\n\n`;
+  message += pageEntries.length > 0
+    ? pageEntries.map(formatHistoryEntry).join('\n\n')
+    : 'No transfers recorded yet.';
+
+  const navigation = [];
+  if (currentPage > 0) navigation.push({ text: '◀️ Newer', callback_data: `history_${walletId}_${currentPage - 1}` });
+  if (currentPage < pageCount - 1) navigation.push({ text: 'Older ▶️', callback_data: `history_${walletId}_${currentPage + 1}` });
+
+  const keyboard = [];
+  if (navigation.length > 0) keyboard.push(navigation);
+  keyboard.push([{ text: '⚙️ Back to Wallet Settings', callback_data: `edit_wallet_${walletId}` }]);
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// Balance handlers
+const BALANCE_ALERT_DEFAULTS = { below: null, above: null, changePercent: null, windowMinutes: 60 };
+
+function balanceBackKeyboard(walletId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [[{ text: '🔙 Back to Balance Alerts', callback_data: `balance_menu_${walletId}` }]]
+    }
+  };
+}
+
+// Current SOL balance and token holdings, known tokens first; null fields when the RPC fails.
+// Successful lookups are cached for BALANCE_CACHE_TTL.
+async function fetchBalances(address) {
+  const cached = balanceCache.get(address);
+  if (cached?.expires > Date.now()) return cached.balance;
+
+  const owner = new PublicKey(address);
+  const balance = { sol: null, tokens: null };
+
+  try {
+    balance.sol = (await connection.getBalance(owner)) / 1e9;
+
+    const accounts = [];
+    for (const programId of TOKEN_PROGRAM_IDS) {
+      const { value } = await connection.getParsedTokenAccountsByOwner(owner, { programId });
+      accounts.push(...value);
+    }
+    balance.tokens = accounts
+      .map(account => account.account.data.parsed.info)
+      .filter(info => info.tokenAmount.uiAmount > 0)
+      .map(info => ({ mint: info.mint, uiAmount: info.tokenAmount.uiAmount }))
+      .sort((a, b) => Boolean(KNOWN_TOKENS[b.mint]) - Boolean(KNOWN_TOKENS[a.mint]) || tokenLabel(a.mint).localeCompare(tokenLabel(b.mint)));
+    balanceCache.set(address, { balance, expires: Date.now() + BALANCE_CACHE_TTL });
+  } catch (error) {
+    console.error(`❌ Failed to fetch balances for ${address}:`, error.message);
+  }
+
+  return balance;
+}
+
+function formatBalances(balance) {
+  if (balance.sol === null) return '💎 Balance: unavailable';
+
+  let text = `💎 Balance: ${balance.sol.toFixed(4)} SOL`;
+  if (balance.tokens?.length > 0) {
+    const top = balance.tokens.slice(0, TOP_TOKEN_HOLDINGS).map(token => formatAssetAmount(token.mint, token.uiAmount));
+    const hidden = balance.tokens.length - top.length;
+    text += `\n🪙 Holdings: ${top.join(', ')}${hidden > 0 ? ` (+${hidden} more)` : ''}`;
+  }
+  return text;
+}
+
+function hasBalanceAlerts(wallet) {
+  const settings = { ...BALANCE_ALERT_DEFAULTS, ...wallet.balanceAlerts };
+  return settings.below !== null || settings.above !== null || settings.changePercent !== null;
+}
+
+async function handleBalanceMenu(chatId, messageId, userId, walletId) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  const settings = { ...BALANCE_ALERT_DEFAULTS, ...wallet.balanceAlerts };
+  const off = (value, unit) => (value === null ? 'Off' : `${value} ${unit}`);
+
+  const message = `💎 Balance Alerts for ${wallet.name}\n\n` +
+                  `${formatBalances(await fetchBalances(wallet.address))}\n\n` +
+                  `📉 Below: ${off(settings.below, 'SOL')}\n` +
+                  `📈 Above: ${off(settings.above, 'SOL')}\n` +
+                  `⚡ Change: ${off(settings.changePercent, '%')} within ${settings.windowMinutes} min\n\n` +
+                  `Balance changes catch drains spread over many small transfers below your min amount.`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '📉 Set Below', callback_data: `balance_set_below_${walletId}` },
+          { text: '📈 Set Above', callback_data: `balance_set_above_${walletId}` }
+        ],
+        [
+          { text: '⚡ Set % Change', callback_data: `balance_set_changePercent_${walletId}` },
+          { text: '⏱️ Set Window', callback_data: `balance_set_windowMinutes_${walletId}` }
+        ],
+        [{ text: '🧹 Clear All', callback_data: `balance_clear_${walletId}` }],
+        [{ text: '🔙 Back to Settings', callback_data: `edit_wallet_${walletId}` }]
+      ]
+    }
+  });
+}
+
+const BALANCE_PROMPTS = {
+  below: '📉 Alert when the balance drops below how many SOL? (0 turns it off)',
+  above: '📈 Alert when the balance rises above how many SOL? (0 turns it off)',
+  changePercent: '⚡ Alert when the balance changes by at least what percent within the window? (e.g., 20, 0 turns it off)',
+  windowMinutes: `⏱️ Over how many minutes should changes be measured? (1-${MAX_BALANCE_WINDOW_MINUTES})`
+};
+
+async function handleBalanceSelection(chatId, messageId, userId, data) {
+  const parts = data.split('_');
+  const action = parts[1];
+
+  if (action === 'menu') {
+    await handleBalanceMenu(chatId, messageId, userId, parts[2]);
+  } else if (action === 'clear') {
+    await updateWallet(userId, parts[2], (wallet) => { delete wallet.balanceAlerts; });
+    await clearBalanceAlertState(userId, parts[2]);
+    await handleBalanceMenu(chatId, messageId, userId, parts[2]);
+  } else if (action === 'set' && BALANCE_PROMPTS[parts[2]]) {
+    userSessions.set(userId, { state: 'awaiting_balance_setting', walletId: parts[3], field: parts[2] });
+    await bot.editMessageText(BALANCE_PROMPTS[parts[2]], { chat_id: chatId, message_id: messageId, ...balanceBackKeyboard(parts[3]) });
+  }
+}
+
+// Delivery target handlers
+function deliveryBackKeyboard(walletId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [[{ text: '🔙 Back to Delivery', callback_data: `deliver_menu_${walletId}` }]]
+    }
+  };
+}
+
+// Turns "@channel", "-100123456789" or either with "/<topic id>" into a target the
+// bot can post to and the member administers
+async function resolveDeliveryTarget(text, memberId) {
+  const match = text.match(/^(@\w{5,}|-?\d+)(?:\/(\d+))?$/);
+  if (!match) return { error: 'Please send a chat as @username or numeric id, optionally followed by /topic id.' };
+
+  let chat;
+  try {
+    chat = await bot.getChat(match[1]);
+  } catch {
+    return { error: 'I can\'t access that chat. Add the bot to it first (as an admin for channels).' };
+  }
+
+  if (chat.type === 'private') return { error: 'Use "My DM" to deliver alerts to a private chat.' };
+  if (!(await isChatAdmin(chat, memberId))) return { error: 'You must be an admin of that chat.' };
+
+  try {
+    const self = await bot.getChatMember(chat.id, botInfo.id);
+    const canPost = chat.type === 'channel'
+      ? self.status === 'administrator' && self.can_post_messages
+      : ['creator', 'administrator', 'member'].includes(self.status);
+    if (!canPost) return { error: 'The bot is not allowed to post in that chat.' };
+  } catch {
+    return { error: 'The bot is not allowed to post in that chat.' };
+  }
+
+  const threadId = match[2] ? parseInt(match[2], 10) : undefined;
+  return { chatId: chat.id, threadId, title: `${chat.title}${threadId ? ` (topic ${threadId})` : ''}` };
+}
+
+async function addDeliveryTarget(userId, walletId, target) {
+  await updateWallet(userId, walletId, (wallet) => {
+    const targets = wallet.targets || [];
+    if (!targets.some(existing => existing.chatId === target.chatId && existing.threadId === target.threadId)) {
+      wallet.targets = [...targets, target];
+    }
+  });
+}
+
+async function handleDeliveryMenu(chatId, messageId, userId, walletId, message) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  const targets = wallet.targets || [];
+  const webhooks = wallet.webhooks || [];
+  let text = `📨 Delivery targets for ${wallet.name}\n\n`;
+  text += targets.length === 0
+    ? 'Alerts are sent to this chat. Add targets to send them elsewhere instead (DM, group, channel or forum topic).'
+    : targets.map(target => `• ${target.title}`).join('\n');
+  if (webhooks.length > 0) {
+    text += `\n\n🪝 Webhooks (in addition to Telegram):\n${webhooks.map(hook => `• ${describeWebhook(hook)}`).join('\n')}`;
+  }
+
+  const keyboard = targets.map((target, index) => [{ text: `🗑️ Remove ${target.title}`, callback_data: `deliver_rm_${walletId}_${index}` }]);
+  webhooks.forEach((hook, index) => keyboard.push([
+    { text: `🧪 Test ${describeWebhook(hook)}`, callback_data: `deliver_hooktest_${walletId}_${index}` },
+    { text: '🗑️ Remove', callback_data: `deliver_hookrm_${walletId}_${index}` }
+  ]));
+  keyboard.push([{ text: '➕ This Chat', callback_data: `deliver_here_${walletId}` }]);
+  if (message.is_topic_message) keyboard.push([{ text: '➕ This Topic', callback_data: `deliver_topic_${walletId}` }]);
+  keyboard.push([{ text: '➕ My DM', callback_data: `deliver_dm_${walletId}` }]);
+  keyboard.push([{ text: '➕ Channel / Other Group', callback_data: `deliver_chat_${walletId}` }]);
+  keyboard.push([{ text: '🪝 Add Webhook', callback_data: `deliver_hook_${walletId}` }]);
+  keyboard.push([{ text: '🔙 Back to Settings', callback_data: `edit_wallet_${walletId}` }]);
+
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleDeliverySelection(callbackQuery, userId, data) {
+  const message = callbackQuery.message;
+  const chatId = message.chat.id;
+  const messageId = message.message_id;
+  const [, action, walletId, index] = data.split('_');
+  const addTarget = (target) => addDeliveryTarget(userId, walletId, target);
+
+  switch (action) {
+    case 'here':
+      await addTarget({ chatId, title: message.chat.type === 'private' ? 'This chat' : message.chat.title });
+      break;
+
+    case 'topic':
+      await addTarget({ chatId, threadId: message.message_thread_id, title: `${message.chat.title} (topic ${message.message_thread_id})` });
+      break;
+
+    case 'dm':
+      // A member who never started the bot can't get DMs, and a failed alert would pause their own wallets
+      try {
+        await bot.sendMessage(callbackQuery.from.id, '✅ Wallet alerts will be delivered to this chat.');
+      } catch (error) {
+        await bot.editMessageText(
+          "❌ I can't message you privately yet. Send /start to me in a private chat first, then add your DM again.",
+          { chat_id: chatId, message_id: messageId, ...deliveryBackKeyboard(walletId) }
+        );
+        return;
+      }
+      await addTarget({ chatId: callbackQuery.from.id, title: `DM with ${callbackQuery.from.first_name}` });
+      break;
+
+    case 'rm':
+      await updateWallet(userId, walletId, (wallet) => {
+        wallet.targets = (wallet.targets || []).filter((target, targetIndex) => targetIndex !== parseInt(index, 10));
+      });
+      break;
+
+    case 'hook':
+      await bot.editMessageText('🪝 What kind of webhook?', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: {
+          inline_keyboard: [
+            WEBHOOK_TYPES.map(type => ({ text: WEBHOOK_LABELS[type], callback_data: `deliver_hooktype_${walletId}_${type}` })),
+            [{ text: '🔙 Back to Delivery', callback_data: `deliver_menu_${walletId}` }]
+          ]
+        }
+      });
+      return;
+
+    case 'hooktype':
+      if (!WEBHOOK_TYPES.includes(index)) break;
+      userSessions.set(userId, { state: 'awaiting_webhook_url', walletId, webhookType: index });
+      await bot.editMessageText(
+        index === 'http'
+          ? '🌐 Send the URL to POST alerts to. Each request carries a signed JSON payload.'
+          : `Send the ${WEBHOOK_LABELS[index]} incoming webhook URL.`,
+        { chat_id: chatId, message_id: messageId, ...deliveryBackKeyboard(walletId) }
+      );
+      return;
+
+    case 'hooktest':
+      await testWebhook(chatId, userId, walletId, parseInt(index, 10));
+      return;
+
+    case 'hookrm':
+      await updateWallet(userId, walletId, (wallet) => {
+        wallet.webhooks = (wallet.webhooks || []).filter((hook, hookIndex) => hookIndex !== parseInt(index, 10));
+      });
+      break;
+
+    case 'chat':
+      userSessions.set(userId, { state: 'awaiting_delivery_target', walletId });
+      await bot.editMessageText(
+        '📢 Send the channel or group as @username or numeric id (e.g., -1001234567890).\n' +
+        'For a forum topic add /<topic id> (e.g., -1001234567890/42).\n\n' +
+        'The bot must be able to post there and you must be an admin of it.',
+        { chat_id: chatId, message_id: messageId, ...deliveryBackKeyboard(walletId) }
+      );
+      return;
+  }
+
+  await handleDeliveryMenu(chatId, messageId, userId, walletId, message);
+}
+
+// Webhook handlers
+const WEBHOOK_LABELS = { http: '🌐 HTTP', discord: '💬 Discord', slack: '💼 Slack' };
+
+function isValidWebhookUrl(text) {
+  try {
+    return ['http:', 'https:'].includes(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Host only: the rest of a webhook URL usually is its secret
+function describeWebhook(hook) {
+  return `${WEBHOOK_LABELS[hook.type]} ${new URL(hook.url).host}`;
+}
+
+// Resolves with the new webhook, or null when the wallet is at its limit
+async function addWebhook(userId, walletId, type, url) {
+  const hook = { type, url, ...(type === 'http' ? { secret: createWebhookSecret() } : {}) };
+  let added = false;
+  await updateWallet(userId, walletId, (wallet) => {
+    const webhooks = wallet.webhooks || [];
+    if (webhooks.length >= MAX_WEBHOOKS_PER_WALLET) return;
+    wallet.webhooks = [...webhooks, hook];
+    added = true;
+  });
+  return added ? hook : null;
+}
+
+async function removeWebhook(userId, walletId, hook) {
+  await updateWallet(userId, walletId, (wallet) => {
+    wallet.webhooks = (wallet.webhooks || []).filter(existing => existing.url !== hook.url || existing.secret !== hook.secret);
+  });
+}
+
+function webhookSecretText(hook) {
+  return `🔑 Signing secret: ${hook.secret}\n` +
+    'Each request carries X-Webhook-Timestamp and X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>" with this secret>.';
+}
+
+async function testWebhook(chatId, userId, walletId, index) {
+  const wallet = (await loadWallets())[userId]?.[walletId];
+  const hook = wallet?.webhooks?.[index];
+  if (!hook) return;
+
+  try {
+    await webhookSender.send(hook, {
+      type: 'test',
+      wallet: { name: wallet.name, address: wallet.address },
+      data: { message: 'Test event from the wallet tracker' },
+      text: `🧪 Test alert for **${wallet.name}**`,
+      url: `https://solscan.io/account/${wallet.address}`
+    });
+    bot.sendMessage(chatId, `✅ Test delivered to ${describeWebhook(hook)}`, deliveryBackKeyboard(walletId));
+  } catch (error) {
+    const status = error.response?.status;
+    bot.sendMessage(chatId, `❌ Test to ${describeWebhook(hook)} failed: ${status ? `HTTP ${status}` : error.message}`, deliveryBackKeyboard(walletId));
+  }
+}
+
+// Sends an alert to the wallet's webhooks in the background; each retries on its own
+function deliverWebhooks(wallet, event) {
+  for (const hook of wallet.webhooks || []) {
+    webhookSender.send(hook, { ...event, wallet: { name: wallet.name, address: wallet.address } }).catch((error) => {
+      botStats.webhooksFailed++;
+      const status = error.response?.status;
+      console.error(`🪝 Webhook ${describeWebhook(hook)} failed for ${wallet.name}:`, status ? `HTTP ${status}` : error.message);
+    });
+  }
+}
+
+// Currency handlers
+async function handleCurrencyMenu(chatId, messageId, userId) {
+  const current = getCurrency(userId);
+  const buttons = SUPPORTED_CURRENCIES.map(currency => ({
+    text: `${currency === current ? '✅ ' : ''}${currency.toUpperCase()}`,
+    callback_data: `currency_set_${currency}`
+  }));
+
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 5) keyboard.push(buttons.slice(i, i + 5));
+  keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
+
+  await bot.editMessageText(
+    `💱 Alert values are shown in ${current.toUpperCase()}.\n\nUSD min/max filters always use USD.`,
+    { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+// Subscription handlers
+async function loadPlans() {
+  const plans = JSON.parse(await fs.readFile(PLANS_FILE, 'utf8'));
+  console.log(`💳 Loaded ${Object.keys(plans).length} plans`);
+  return plans;
+}
+
+function getPlan(userId) {
+  return billing ? billing.getPlan(userId) : UNLIMITED_PLAN;
+}
+
+function countActiveWallets(userWallets) {
+  return Object.values(userWallets || {}).filter(wallet => wallet.active).length;
+}
+
+function describePlan(plan) {
+  return `${plan.maxWallets} tracked wallets, checks every ${plan.pollSeconds}s`;
+}
+
+function walletLimitMessage(userId) {
+  const plan = getPlan(userId);
+  return `❌ Your ${plan.name} plan allows ${plan.maxWallets} tracked wallets. Pause or remove one, or upgrade your subscription.`;
+}
+
+const walletLimitKeyboard = {
+  reply_markup: {
+    inline_keyboard: [
+      ...(PAYMENT_ADDRESS ? [[{ text: '💳 Subscription', callback_data: 'billing_menu' }]] : []),
+      [{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]
+    ]
+  }
+};
+
+async function handleBillingMenu(chatId, messageId, userId) {
+  if (!billing) return;
+
+  const plan = getPlan(userId);
+  const activeCount = countActiveWallets((await loadWallets())[userId]);
+
+  let message = `💳 Subscription\n\n` +
+                `📦 Plan: ${plan.name}${plan.expiresAt ? ` (until ${new Date(plan.expiresAt).toLocaleDateString()})` : ''}\n` +
+                `👛 Tracked wallets: ${activeCount}/${plan.maxWallets}\n` +
+                `⏱️ Checks every ${plan.pollSeconds}s\n\n` +
+                `Plans:\n`;
+  for (const id of billing.paidPlans()) {
+    const option = billing.plans[id];
+    message += `• ${option.name}: ${option.priceSol} SOL / ${option.days} days, ${describePlan(option)}\n`;
+  }
+
+  const keyboard = billing.paidPlans().map(id => [{
+    text: `${id === plan.id ? '🔁 Renew' : '💳 Buy'} ${billing.plans[id].name} (${billing.plans[id].priceSol} SOL)`,
+    callback_data: `billing_buy_${id}`
+  }]);
+  keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleBillingSelection(chatId, messageId, userId, data) {
+  const planId = data.replace('billing_buy_', '');
+  if (!billing || !billing.paidPlans().includes(planId)) return;
+
+  const plan = billing.plans[planId];
+  const invoice = await billing.createInvoice(userId, planId);
+  const exactAmount = (invoice.lamports / LAMPORTS_PER_SOL).toFixed(9).replace(/0+$/, '');
+
+  const message = `💳 ${plan.name}: ${plan.days} days, ${describePlan(plan)}\n\n` +
+                  `Send exactly \`${exactAmount}\` SOL to:\n\`${PAYMENT_ADDRESS}\`\n\n` +
+                  `This amount identifies your payment until ${new Date(invoice.expiresAt).toLocaleString()}.\n` +
+                  `Alternatively send ${plan.priceSol} SOL with the memo \`${invoice.reference}\`.\n\n` +
+                  `The plan is activated automatically once the payment is confirmed.`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '🔄 Check Status', callback_data: 'billing_menu' }],
+        [{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]
+      ]
+    }
+  });
+}
+
+// Text of the transaction's memo instructions, if any
+function extractMemo(transaction) {
+  return transaction.transaction.message.instructions
+    .filter(instruction => MEMO_PROGRAM_IDS.has(instruction.programId.toString()))
+    .map(instruction => (typeof instruction.parsed === 'string' ? instruction.parsed : ''))
+    .join(' ');
+}
+
+// Incoming SOL at the payment address is attributed by memo reference or invoice amount
+async function processPayment(transaction, signature) {
+  if (transaction.meta.err) return;
+  const transfer = await analyzeSolTransaction(transaction, PAYMENT_ADDRESS);
+  if (transfer?.direction !== 'incoming') return;
+
+  const amount = `${formatSOL(transfer.amount)} SOL`;
+  const match = billing.matchPayment({ lamports: transfer.amount, memo: extractMemo(transaction) });
+  if (!match) {
+    console.log(`💳 Unattributed payment of ${amount}: ${signature}`);
+    return;
+  }
+  if (!match.planId) {
+    console.log(`💳 Payment of ${amount} from user ${match.userId} covers no plan: ${signature}`);
+    sendQueue.enqueue(match.userId, `⚠️ We received ${amount} with your payment reference, but that doesn't cover any plan. Please contact the operator.`);
+    return;
+  }
+
+  const plan = await billing.recordPayment(match.userId, match.planId, {
+    signature,
+    lamports: transfer.amount,
+    from: transfer.receiver_sender,
+    via: match.via
+  });
+  if (!plan) return; // credited before
+
+  const resumed = await resumePlanPausedWallets(match.userId, plan.maxWallets);
+  console.log(`💳 User ${match.userId} paid ${amount} for ${plan.name} (matched by ${match.via})`);
+  sendQueue.enqueue(
+    match.userId,
+    `✅ Payment of ${amount} received!\n\n📦 ${plan.name} is active until ${new Date(plan.expiresAt).toLocaleDateString()}: ${describePlan(plan)}.` +
+    (resumed > 0 ? `\n▶️ ${resumed} paused wallet(s) are tracked again.` : '')
+  );
+}
+
+async function resumePlanPausedWallets(userId, maxWallets) {
+  const resumed = await updateWallets(wallets => resumeWalletsWithinLimit(wallets[userId], maxWallets));
+  if (resumed > 0) syncSubscriptions(await loadWallets());
+  return resumed;
+}
+
+// Pauses the user's active wallets beyond their plan's limit, newest first, until they pay
+async function pauseWalletsOverPlan(userId) {
+  const plan = getPlan(userId);
+  const paused = await updateWallets(wallets => pauseWalletsOverLimit(wallets[userId], plan.maxWallets));
+  if (paused > 0) syncSubscriptions(await loadWallets());
+  return paused;
+}
+
+// Wallets added before billing was turned on (or while a plan had a higher limit) are
+// brought within each user's current plan at startup
+async function enforcePlanLimits() {
+  for (const userId of Object.keys(await loadWallets())) {
+    const paused = await pauseWalletsOverPlan(userId);
+    if (paused === 0) continue;
+
+    const plan = getPlan(userId);
+    console.log(`⏸️ Paused ${paused} wallet(s) of user ${userId} beyond the ${plan.name} plan`);
+    sendQueue.enqueue(
+      userId,
+      `⏸️ You're on the ${plan.name} plan (${describePlan(plan)}). ${paused} wallet(s) beyond its limit were paused and resume when you upgrade.`,
+      walletLimitKeyboard
+    );
+  }
+}
+
+// Expired subscriptions fall back to the free plan; tracked wallets beyond its limit are
+// paused until the owner pays again
+async function expireSubscriptions() {
+  for (const { userId, planId } of await billing.expireSubscriptions()) {
+    const plan = getPlan(userId);
+    const paused = await pauseWalletsOverPlan(userId);
+
+    console.log(`⌛ Subscription of user ${userId} expired, paused ${paused} wallet(s)`);
+    sendQueue.enqueue(
+      userId,
+      `⌛ Your ${billing.plans[planId]?.name || planId} subscription has expired. You're now on the ${plan.name} plan (${describePlan(plan)}).` +
+      (paused > 0 ? `\n⏸️ ${paused} wallet(s) beyond its limit were paused and resume when you renew.` : ''),
+      walletLimitKeyboard
+    );
+  }
+}
+
+// Digest handlers
+const DIGEST_PERIODS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DIGEST_TOP_COUNTERPARTIES = 3;
+
+const digestBackKeyboard = {
+  reply_markup: {
+    inline_keyboard: [[{ text: '🔙 Back to Digest', callback_data: 'digest_menu' }]]
+  }
+};
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date, time and weekday of `date` in `timeZone`
+function localTimeParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, weekday: parts.weekday };
+}
+
+async function handleDigestMenu(chatId, messageId, userId) {
+  const digest = getDigestSettings(userId);
+  const schedule = {
+    off: 'Off',
+    daily: `Every day at ${digest.time}`,
+    weekly: `Every Monday at ${digest.time}`
+  }[digest.frequency];
+  const mark = (frequency) => (digest.frequency === frequency ? '✅ ' : '');
+
+  const message = `📰 Digest Reports\n\n` +
+                  `A summary of each tracked wallet: SOL in/out, net flow, transaction count, largest transfer and top counterparties.\n\n` +
+                  `📅 Schedule: ${schedule}\n` +
+                  `🌍 Timezone: ${digest.timeZone}`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: `${mark('off')}Off`, callback_data: 'digest_freq_off' },
+          { text: `${mark('daily')}Daily`, callback_data: 'digest_freq_daily' },
+          { text: `${mark('weekly')}Weekly`, callback_data: 'digest_freq_weekly' }
+        ],
+        [{ text: '🕘 Set Delivery Time', callback_data: 'digest_time' }],
+        [{ text: '🌍 Set Timezone', callback_data: 'digest_tz' }],
+        [{ text: '👀 Preview Now', callback_data: 'digest_preview' }],
+        [{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]
+      ]
+    }
+  });
+}
+
+async function handleDigestSelection(chatId, messageId, userId, data) {
+  if (data.startsWith('digest_freq_')) {
+    await updateDigestSettings(userId, { frequency: data.replace('digest_freq_', '') });
+    await handleDigestMenu(chatId, messageId, userId);
+  } else if (data === 'digest_time') {
+    userSessions.set(userId, { state: 'awaiting_digest_time' });
+    await bot.editMessageText(
+      '🕘 Send the delivery time as HH:MM (24-hour, in your digest timezone):',
+      { chat_id: chatId, message_id: messageId, ...digestBackKeyboard }
+    );
+  } else if (data === 'digest_tz') {
+    userSessions.set(userId, { state: 'awaiting_digest_timezone' });
+    await bot.editMessageText(
+      '🌍 Send your timezone as an IANA name (e.g., Europe/Berlin, America/New_York, Asia/Singapore, UTC):',
+      { chat_id: chatId, message_id: messageId, ...digestBackKeyboard }
+    );
+  } else if (data === 'digest_preview') {
+    const { frequency } = getDigestSettings(userId);
+    await bot.sendMessage(chatId, await buildDigest(userId, frequency === 'weekly' ? 'weekly' : 'daily'), digestBackKeyboard);
+  }
+}
+
+// Sums up the SOL transfers recorded for one wallet since `since`
+function summarizeWalletActivity(entries, since) {
+  const recent = entries.filter(entry => entry.timestamp >= since);
+  const solTransfers = recent.filter(entry => entry.type === 'transfer' && entry.mint === null);
+
+  const summary = {
+    transactions: new Set(recent.map(entry => entry.signature)).size,
+    solIn: 0,
+    solOut: 0,
+    largest: null,
+    counterparties: new Map()
+  };
+
+  for (const transfer of solTransfers) {
+    if (transfer.direction === 'incoming') summary.solIn += transfer.uiAmount;
+    else summary.solOut += transfer.uiAmount;
+
+    if (!summary.largest || transfer.uiAmount > summary.largest.uiAmount) summary.largest = transfer;
+
+    for (const counterparty of transfer.counterparties) {
+      summary.counterparties.set(counterparty.address, (summary.counterparties.get(counterparty.address) || 0) + counterparty.uiAmount);
+    }
+  }
+
+  return summary;
+}
+
+async function buildDigest(userId, frequency) {
+  const wallets = await loadWallets();
+  const context = buildCounterpartyContext(userId);
+  const since = Date.now() - DIGEST_PERIODS[frequency];
+  const userWallets = Object.entries(wallets[userId] || {});
+
+  let message = `📰 ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest\n`;
+  if (userWallets.length === 0) return `${message}\n📭 You haven't added any wallets yet.`;
+
+  for (const [walletId, wallet] of userWallets) {
+    const summary = summarizeWalletActivity(getHistory(userId, walletId), since);
+    message += `\n💼 ${wallet.name}${wallet.active ? '' : ' (paused)'}\n`;
+
+    if (summary.transactions === 0) {
+      message += '   No activity\n';
+      continue;
+    }
+
+    const net = summary.solIn - summary.solOut;
+    message += `   📥 In: ${summary.solIn.toFixed(4)} SOL · 📤 Out: ${summary.solOut.toFixed(4)} SOL\n` +
+               `   ⚖️ Net: ${net >= 0 ? '+' : ''}${net.toFixed(4)} SOL · 🔢 ${summary.transactions} transactions\n`;
+
+    if (summary.largest) {
+      const icon = summary.largest.direction === 'incoming' ? '📥' : '📤';
+      message += `   🏆 Largest: ${icon} ${summary.largest.uiAmount.toFixed(4)} SOL\n`;
+    }
+
+    const top = [...summary.counterparties.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, DIGEST_TOP_COUNTERPARTIES);
+    for (const [address, volume] of top) {
+      message += `   • ${describeCounterparty({ address }, context)}: ${volume.toFixed(4)} SOL\n`;
+    }
+  }
+
+  return message;
+}
+
+// Sends every digest whose local delivery time has passed and that wasn't sent yet
+// for the current day (daily) or Monday (weekly)
+async function sendDueDigests() {
+  const now = new Date();
+
+  for (const userId of Object.keys(storage.get('settings'))) {
+    const digest = getDigestSettings(userId);
+    if (digest.frequency === 'off' || storage.get('settings', userId).blocked) continue;
+
+    const local = localTimeParts(now, digest.timeZone);
+    if (digest.frequency === 'weekly' && local.weekday !== 'Mon') continue;
+    if (local.time < digest.time || digest.lastSent === local.date) continue;
+
+    // Mark first so a failing delivery doesn't retry every minute
+    await updateDigestSettings(userId, { lastSent: local.date });
+    try {
+      sendQueue.enqueue(userId, await buildDigest(userId, digest.frequency));
+      console.log(`📰 Queued ${digest.frequency} digest for user ${userId}`);
+    } catch (error) {
+      console.error(`❌ Failed to build digest for user ${userId}:`, error.message);
+    }
+  }
+}
+
+// Address book handlers
+const addressBookBackKeyboard = {
+  reply_markup: {
+    inline_keyboard: [
+      [{ text: '📒 Back to Address Book', callback_data: 'address_book' }],
+      [{ text: '🏠 Main Menu', callback_data: 'back_to_menu' }]
+    ]
+  }
+};
+
+async function handleAddressBook(chatId, messageId, userId) {
+  const addressBook = await loadAddressBook();
+  const labels = Object.entries(addressBook[userId] || {});
+
+  let message = '📒 Your Address Book\n\n';
+  if (labels.length === 0) {
+    message += 'No labels yet. Add one below, or reply to any alert with a name to label its counterparty.';
+  }
+
+  const keyboard = [];
+  labels.forEach(([address, label], index) => {
+    message += `🏷️ ${label}\n📍 ${address}\n\n`;
+    keyboard.push([{ text: `🗑️ Remove ${label}`, callback_data: `book_rm_${index}` }]);
+  });
+  keyboard.push([{ text: '➕ Add Label', callback_data: 'book_add' }]);
+  keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleRemoveLabel(chatId, messageId, userId, index) {
+  await storage.update('addressBook', (addressBook) => {
+    const address = Object.keys(addressBook[userId] || {})[index];
+    if (address) delete addressBook[userId][address];
+  });
+  await handleAddressBook(chatId, messageId, userId);
+}
+
+// Alerts carry the counterparty in their "View Sender/Receiver" button
+async function handleAlertReply(chatId, userId, alert, text) {
+  const buttons = (alert.reply_markup?.inline_keyboard || []).flat();
+  const accountButton = buttons.find(button => button.url && button.url.includes('solscan.io/account/'));
+  if (!accountButton) return;
+
+  const address = accountButton.url.split('/account/')[1];
+  if (!isValidSolanaAddress(address)) return;
+
+  if (text.length > 50) {
+    bot.sendMessage(chatId, '❌ Label too long. Please use 50 characters or less.');
+    return;
+  }
+
+  await setAddressLabel(userId, address, text);
+  bot.sendMessage(chatId, `✅ ${address} is now labeled "${text}"`, addressBookBackKeyboard);
+}
+
+// Filter handlers
+async function handleFilterSelection(chatId, messageId, userId, data) {
+  const parts = data.split('_');
+  const action = parts[1];
+  const walletId = parts[2];
+
+  switch (action) {
+    case 'min':
+      userSessions.set(userId, { state: 'awaiting_min_amount', walletId });
+      await bot.editMessageText(
+        '💰 Enter the minimum transaction amount in SOL (e.g., 0.1):',
+        { chat_id: chatId, message_id: messageId, ...backKeyboard }
+      );
+      break;
+
+    case 'max':
+      userSessions.set(userId, { state: 'awaiting_max_amount', walletId });
+      await bot.editMessageText(
+        '💰 Enter the maximum transaction amount in SOL (e.g., 100):',
+        { chat_id: chatId, message_id: messageId, ...backKeyboard }
+      );
+      break;
+
+    case 'minusd':
+    case 'maxusd':
+      userSessions.set(userId, { state: 'awaiting_usd_amount', walletId, field: action === 'minusd' ? 'minUsd' : 'maxUsd' });
+      await bot.editMessageText(
+        `💵 Enter the ${action === 'minusd' ? 'minimum' : 'maximum'} value in USD (e.g., 500, 0 removes the limit).\n` +
+        'Applies to SOL, token and swap alerts; transfers without a known price are not filtered.',
+        { chat_id: chatId, message_id: messageId, ...backKeyboard }
+      );
+      break;
+
+    case 'direction':
+      const directionKeyboard = {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '📥 Incoming Only', callback_data: `set_direction_incoming_${walletId}` }],
+            [{ text: '📤 Outgoing Only', callback_data: `set_direction_outgoing_${walletId}` }],
+            [{ text: '🔄 Both Directions', callback_data: `set_direction_both_${walletId}` }],
+            [{ text: '🔙 Back', callback_data: `edit_wallet_${walletId}` }]
+          ]
+        }
+      };
+      await bot.editMessageText(
+        '🔄 Choose transaction direction to monitor:',
+        { chat_id: chatId, message_id: messageId, ...directionKeyboard }
+      );
+      break;
+
+    case 'swaps':
+      await updateWallet(userId, walletId, (wallet) => { wallet.swapAlerts = wallet.swapAlerts === false; });
+      await handleEditWallet(chatId, messageId, userId, walletId);
+      break;
+
+    case 'toggle':
+      const wallets = await loadWallets();
+      const wallet = wallets[userId]?.[walletId];
+      if (wallet) {
+        if (!wallet.active && countActiveWallets(wallets[userId]) >= getPlan(userId).maxWallets) {
+          await bot.editMessageText(walletLimitMessage(userId), { chat_id: chatId, message_id: messageId, ...walletLimitKeyboard });
+          return;
+        }
+        await updateWallet(userId, walletId, (w) => {
+          w.active = !w.active;
+          delete w.pausedByBlock;
+          delete w.pausedByPlan;
+        });
+        syncSubscriptions(await loadWallets());
+        await handleEditWallet(chatId, messageId, userId, walletId);
+      }
+      break;
+  }
+
+  if (data.startsWith('set_direction_')) {
+    const direction = parts[2] === 'incoming';
+    const walletId = parts[3];
+    await updateWalletFilter(userId, walletId, 'direction', direction);
+    bot.sendMessage(chatId, `✅ Direction filter set to: ${direction}`);
+  }
+}
+
+// Tracked assets handlers: SOL on/off, token mode and per-mint min/max filters.
+// Mints are referenced by their index in `tokenFilters` to stay within Telegram's 64-byte callback data.
+async function handleAssetsSelection(chatId, messageId, userId, data) {
+  const parts = data.split('_');
+  const action = parts[1];
+  const walletId = parts[2];
+  const mintIndex = parseInt(parts[3], 10);
+
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  const mints = Object.keys(wallet.tokenFilters || {});
+  const mint = mints[mintIndex];
+
+  switch (action) {
+    case 'menu':
+      await handleAssetsMenu(chatId, messageId, wallet, walletId);
+      break;
+
+    case 'sol':
+      await updateWallet(userId, walletId, (w) => { w.trackSol = w.trackSol === false; });
+      await handleAssetsSelection(chatId, messageId, userId, `assets_menu_${walletId}`);
+      break;
+
+    case 'mode':
+      const modes = ['none', 'all', 'list'];
+      await updateWallet(userId, walletId, (w) => {
+        w.tokenMode = modes[(modes.indexOf(w.tokenMode || 'none') + 1) % modes.length];
+      });
+      await handleAssetsSelection(chatId, messageId, userId, `assets_menu_${walletId}`);
+      break;
+
+    case 'add':
+      userSessions.set(userId, { state: 'awaiting_token_mint', walletId });
+      await bot.editMessageText(
+        '🪙 Send the SPL token mint address to add (e.g., EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v for USDC):',
+        { chat_id: chatId, message_id: messageId, ...assetsBackKeyboard(walletId) }
+      );
+      break;
+
+    case 'mint':
+      if (!mint) return;
+      const filters = wallet.tokenFilters[mint];
+      const mintKeyboard = [
+        [{ text: '💰 Set Min Amount', callback_data: `assets_min_${walletId}_${mintIndex}` }],
+        [{ text: '💰 Set Max Amount', callback_data: `assets_max_${walletId}_${mintIndex}` }],
+        [{ text: '🗑️ Remove Token', callback_data: `assets_rm_${walletId}_${mintIndex}` }],
+        [{ text: '🔙 Back', callback_data: `assets_menu_${walletId}` }]
+      ];
+      await bot.editMessageText(
+        `🪙 **${tokenLabel(mint)}**\n\n` +
+        `📍 Mint: ${mint}\n` +
+        `💰 Min Amount: ${filters.minAmount || 0}\n` +
+        `💰 Max Amount: ${filters.maxAmount || '∞'}`,
+        { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: { inline_keyboard: mintKeyboard } }
+      );
+      break;
+
+    case 'min':
+    case 'max':
+      if (!mint) return;
+      userSessions.set(userId, { state: `awaiting_token_${action}_amount`, walletId, mint });
+      await bot.editMessageText(
+        `💰 Enter the ${action === 'min' ? 'minimum' : 'maximum'} ${tokenLabel(mint)} amount (0 to remove the limit):`,
+        { chat_id: chatId, message_id: messageId, ...assetsBackKeyboard(walletId) }
+      );
+      break;
+
+    case 'rm':
+      if (!mint) return;
+      await updateWallet(userId, walletId, (w) => { delete w.tokenFilters[mint]; });
+      await handleAssetsSelection(chatId, messageId, userId, `assets_menu_${walletId}`);
+      break;
+  }
+}
+
+async function handleAssetsMenu(chatId, messageId, wallet, walletId) {
+  const tokenModeText = { none: 'Off', all: 'All tokens', list: 'Selected only' }[wallet.tokenMode || 'none'];
+  const mints = Object.keys(wallet.tokenFilters || {});
+
+  const keyboard = [
+    [{ text: `◎ SOL: ${wallet.trackSol === false ? 'Off' : 'On'}`, callback_data: `assets_sol_${walletId}` }],
+    [{ text: `🪙 Tokens: ${tokenModeText}`, callback_data: `assets_mode_${walletId}` }]
+  ];
+  mints.forEach((mint, index) => {
+    keyboard.push([{ text: `⚙️ ${tokenLabel(mint)}`, callback_data: `assets_mint_${walletId}_${index}` }]);
+  });
+  keyboard.push([{ text: '➕ Add Token', callback_data: `assets_add_${walletId}` }]);
+  keyboard.push([{ text: '🔙 Back to Wallet Settings', callback_data: `edit_wallet_${walletId}` }]);
+
+  const message = `🪙 **${wallet.name}** Tracked Assets\n\n` +
+                  `Currently tracking: ${describeAssets(wallet)}\n\n` +
+                  `• "All tokens" alerts on every SPL token; listed tokens get their own min/max.\n` +
+                  `• "Selected only" alerts on the listed tokens only.`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+function assetsBackKeyboard(walletId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '🪙 Back to Tracked Assets', callback_data: `assets_menu_${walletId}` }],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_menu' }]
+      ]
+    }
+  };
+}
+
+// Wallet cluster handlers
+const CLUSTER_DEFAULTS = { minWallets: 3, windowMinutes: 10, sameToken: true, sameDestination: true };
+const MAX_CLUSTER_WINDOW_MINUTES = 24 * 60;
+
+const clusterListBackKeyboard = {
+  reply_markup: {
+    inline_keyboard: [[{ text: '🔙 Back to Clusters', callback_data: 'cluster_list' }]]
+  }
+};
+
+function clusterBackKeyboard(clusterId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [[{ text: '🕸️ Back to Cluster', callback_data: `cluster_menu_${clusterId}` }]]
+    }
+  };
+}
+
+async function updateCluster(userId, clusterId, mutate) {
+  await storage.update('clusters', (clusters) => {
+    const cluster = clusters[userId]?.[clusterId];
+    if (cluster) mutate(cluster);
+  });
+}
+
+async function handleClusterList(chatId, messageId, userId) {
+  const clusters = Object.entries(storage.get('clusters', userId) || {});
+
+  let message = '🕸️ Wallet Clusters\n\n' +
+                'Get an alert when several wallets of a cluster buy the same token, or send to the same new address, ' +
+                'within a short window. Alerts go to the member wallets\' delivery targets and webhooks.\n\n' +
+                'Activity from before a bot restart isn\'t counted.';
+  if (clusters.length === 0) message += '\n\nNo clusters yet.';
+
+  const keyboard = clusters.map(([clusterId, cluster]) => [
+    { text: `🕸️ ${cluster.name} (${cluster.walletIds.length} wallets)`, callback_data: `cluster_menu_${clusterId}` }
+  ]);
+  keyboard.push([{ text: '➕ New Cluster', callback_data: 'cluster_new' }]);
+  keyboard.push([{ text: '🔙 Back to Menu', callback_data: 'back_to_menu' }]);
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleClusterMenu(chatId, messageId, userId, clusterId) {
+  const cluster = storage.get('clusters', userId)?.[clusterId];
+  if (!cluster) {
+    await handleClusterList(chatId, messageId, userId);
+    return;
+  }
+
+  const wallets = Object.entries((await loadWallets())[userId] || {});
+  const onOff = (value) => (value ? 'On' : 'Off');
+
+  const keyboard = wallets.map(([walletId, wallet]) => [{
+    text: `${cluster.walletIds.includes(walletId) ? '✅' : '▫️'} ${wallet.name}`,
+    callback_data: `cluster_w_${clusterId}_${walletId}`
+  }]);
+  keyboard.push([
+    { text: `👥 Min Wallets: ${cluster.minWallets}`, callback_data: `cluster_min_${clusterId}` },
+    { text: `⏱️ Window: ${cluster.windowMinutes} min`, callback_data: `cluster_win_${clusterId}` }
+  ]);
+  keyboard.push([{ text: `🟢 Same Token Bought: ${onOff(cluster.sameToken)}`, callback_data: `cluster_kind_${clusterId}_sameToken` }]);
+  keyboard.push([{ text: `📤 Same New Destination: ${onOff(cluster.sameDestination)}`, callback_data: `cluster_kind_${clusterId}_sameDestination` }]);
+  keyboard.push([{ text: '🗑️ Delete Cluster', callback_data: `cluster_del_${clusterId}` }]);
+  keyboard.push([{ text: '🔙 Back to Clusters', callback_data: 'cluster_list' }]);
+
+  const message = `🕸️ ${cluster.name}\n\n` +
+                  `Alert when ${cluster.minWallets} or more of the selected wallets act together within ${cluster.windowMinutes} minutes.\n` +
+                  `Tap wallets to add or remove them.`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleClusterSelection(chatId, messageId, userId, data) {
+  const [, action, clusterId, extra] = data.split('_');
+
+  switch (action) {
+    case 'w':
+      await updateCluster(userId, clusterId, (cluster) => {
+        cluster.walletIds = cluster.walletIds.includes(extra)
+          ? cluster.walletIds.filter(id => id !== extra)
+          : [...cluster.walletIds, extra];
+      });
+      break;
+
+    case 'kind':
+      if (!['sameToken', 'sameDestination'].includes(extra)) return;
+      await updateCluster(userId, clusterId, (cluster) => { cluster[extra] = !cluster[extra]; });
+      break;
+
+    case 'min':
+    case 'win':
+      userSessions.set(userId, {
+        state: 'awaiting_cluster_setting',
+        clusterId,
+        field: action === 'min' ? 'minWallets' : 'windowMinutes'
+      });
+      await bot.editMessageText(
+        action === 'min'
+          ? '👥 How many wallets must act together to trigger an alert? (2-20)'
+          : `⏱️ Within how many minutes? (1-${MAX_CLUSTER_WINDOW_MINUTES})`,
+        { chat_id: chatId, message_id: messageId, ...clusterBackKeyboard(clusterId) }
+      );
+      return;
+
+    case 'del':
+      await storage.update('clusters', (clusters) => {
+        if (clusters[userId]) delete clusters[userId][clusterId];
+      });
+      await handleClusterList(chatId, messageId, userId);
+      return;
+  }
+
+  await handleClusterMenu(chatId, messageId, userId, clusterId);
+}
+
+// Alert rules handlers
+const MAX_RULE_COUNTERPARTIES = 20;
+
+function rulesBackKeyboard(walletId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [[{ text: '🧩 Back to Alert Rules', callback_data: `rules_menu_${walletId}` }]]
+    }
+  };
+}
+
+async function updateWalletRules(userId, walletId, mutate) {
+  await updateWallet(userId, walletId, (wallet) => {
+    wallet.rules = { ...RULE_DEFAULTS, ...wallet.rules };
+    wallet.rules.counterparties = [...wallet.rules.counterparties];
+    mutate(wallet.rules);
+  });
+}
+
+// "09:00-18:00 Europe/Berlin" -> { from, to, timeZone }; null for "off", undefined when invalid
+function parseActiveHours(text) {
+  if (text.toLowerCase() === 'off') return null;
+
+  const match = text.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})(?:\s+(\S+))?$/);
+  if (!match) return undefined;
+
+  const [from, to] = [match[1], match[2]].map(time => time.padStart(5, '0'));
+  const valid = (time) => parseInt(time.slice(0, 2), 10) <= 23 && parseInt(time.slice(3), 10) <= 59;
+  const timeZone = match[3] || 'UTC';
+  if (!valid(from) || !valid(to) || from === to || !isValidTimeZone(timeZone)) return undefined;
+
+  return { from, to, timeZone };
+}
+
+function describeActiveHours(activeHours) {
+  return `${activeHours.from}-${activeHours.to} ${activeHours.timeZone}`;
+}
+
+async function handleRulesMenu(chatId, messageId, wallet, walletId) {
+  const rules = { ...RULE_DEFAULTS, ...wallet.rules };
+  const onOff = (value) => (value ? 'On' : 'Off');
+  const modeText = {
+    any: 'Any counterparty',
+    allow: 'Only listed counterparties',
+    deny: 'Ignore listed counterparties'
+  }[rules.counterpartyMode];
+
+  const keyboard = [
+    [{ text: `👥 ${modeText}`, callback_data: `rules_mode_${walletId}` }]
+  ];
+  rules.counterparties.forEach((address, index) => {
+    keyboard.push([{ text: `🗑️ ${shortenAddress(address)}`, callback_data: `rules_rm_${walletId}_${index}` }]);
+  });
+  keyboard.push([{ text: '➕ Add Counterparty', callback_data: `rules_add_${walletId}` }]);
+  keyboard.push([{ text: `⚙️ Ignore Programs: ${onOff(rules.ignorePrograms)}`, callback_data: `rules_toggle_${walletId}_ignorePrograms` }]);
+  keyboard.push([{ text: `💼 Ignore My Wallets: ${onOff(rules.ignoreOwnWallets)}`, callback_data: `rules_toggle_${walletId}_ignoreOwnWallets` }]);
+  keyboard.push([{ text: `💥 Ignore Failed TXs: ${onOff(rules.ignoreFailed)}`, callback_data: `rules_toggle_${walletId}_ignoreFailed` }]);
+  keyboard.push([{ text: `🆕 First Interaction Only: ${onOff(rules.firstInteractionOnly)}`, callback_data: `rules_toggle_${walletId}_firstInteractionOnly` }]);
+  keyboard.push([{ text: `🕘 Active Hours: ${rules.activeHours ? describeActiveHours(rules.activeHours) : 'Always'}`, callback_data: `rules_hours_${walletId}` }]);
+  keyboard.push([{ text: '🔙 Back to Wallet Settings', callback_data: `edit_wallet_${walletId}` }]);
+
+  const message = `🧩 **${wallet.name}** Alert Rules\n\n` +
+                  `Rules run after the amount and direction filters; the first rule that fails skips the alert ` +
+                  `and its reason is kept in the wallet history.\n\n` +
+                  `👥 Counterparty list (${rules.counterparties.length}/${MAX_RULE_COUNTERPARTIES}) applies to SOL and token transfers.`;
+
+  await bot.editMessageText(message, {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+async function handleRulesSelection(chatId, messageId, userId, data) {
+  const [, action, walletId, extra] = data.split('_');
+
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  if (!wallet) return;
+
+  switch (action) {
+    case 'mode':
+      await updateWalletRules(userId, walletId, (rules) => {
+        rules.counterpartyMode = { any: 'allow', allow: 'deny', deny: 'any' }[rules.counterpartyMode];
+      });
+      break;
+
+    case 'toggle':
+      if (!['ignorePrograms', 'ignoreOwnWallets', 'ignoreFailed', 'firstInteractionOnly'].includes(extra)) return;
+      await updateWalletRules(userId, walletId, (rules) => { rules[extra] = !rules[extra]; });
+      break;
+
+    case 'rm':
+      await updateWalletRules(userId, walletId, (rules) => { rules.counterparties.splice(parseInt(extra, 10), 1); });
+      break;
+
+    case 'add':
+      userSessions.set(userId, { state: 'awaiting_rule_counterparty', walletId });
+      await bot.editMessageText(
+        '👥 Send the counterparty address to add to the list:',
+        { chat_id: chatId, message_id: messageId, ...rulesBackKeyboard(walletId) }
+      );
+      return;
+
+    case 'hours':
+      userSessions.set(userId, { state: 'awaiting_rule_hours', walletId });
+      await bot.editMessageText(
+        '🕘 Send the hours alerts are allowed as HH:MM-HH:MM with an optional IANA timezone ' +
+        '(e.g., 09:00-18:00 Europe/Berlin; ranges may wrap past midnight), or "off" to always alert:',
+        { chat_id: chatId, message_id: messageId, ...rulesBackKeyboard(walletId) }
+      );
+      return;
   }
+
+  await handleRulesMenu(chatId, messageId, (await loadWallets())[userId][walletId], walletId);
 }
 
-async function checkWalletTransactions(userId, walletId, wallet) {
-  try {
-    const publicKey = new PublicKey(wallet.address);
-    
-    const signatures = await connection.getSignaturesForAddress(publicKey, { limit: 1 });
+// Helper functions
+async function updateWalletFilter(userId, walletId, field, value) {
+  await updateWallet(userId, walletId, (wallet) => { wallet[field] = value; });
+}
+
+async function updateWallet(userId, walletId, mutate) {
+  await updateWallets((wallets) => {
+    const wallet = wallets[userId]?.[walletId];
+    if (!wallet) return;
+    mutate(wallet);
+  });
+}
+
+async function handleConfirmRemove(chatId, messageId, userId, walletId) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  
+  if (!wallet) return;
+
+  const keyboard = {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Yes, Remove', callback_data: `confirm_remove_${walletId}` }],
+        [{ text: '❌ Cancel', callback_data: 'remove_wallet' }]
+      ]
+    }
+  };
+
+  await bot.editMessageText(
+    `🗑️ Are you sure you want to remove "${wallet.name}"?\n\nThis action cannot be undone.`,
+    { chat_id: chatId, message_id: messageId, ...keyboard }
+  );
+}
+
+async function handleActualRemove(chatId, messageId, userId, walletId) {
+  const wallets = await loadWallets();
+  const wallet = wallets[userId]?.[walletId];
+  
+  if (!wallet) return;
+
+  if (wallet) {
+    await updateWallets((wallets) => {
+      if (wallets[userId]) delete wallets[userId][walletId];
+    });
+    await storage.update('history', (history) => {
+      if (history[userId]) delete history[userId][walletId];
+    });
+    await storage.update('clusters', (clusters) => {
+      for (const cluster of Object.values(clusters[userId] || {})) {
+        cluster.walletIds = cluster.walletIds.filter(id => id !== walletId);
+      }
+    });
+    syncSubscriptions(await loadWallets());
     
-    if (signatures.length === 0) return;
+    await bot.editMessageText(
+      `✅ "${wallet.name}" has been removed from tracking.`,
+      { chat_id: chatId, message_id: messageId, ...backKeyboard }
+    );
+  }
+}
+
+function collectActiveWallets(wallets) {
+  const activeWallets = [];
+  for (const [userId, userWallets] of Object.entries(wallets)) {
+    if (isBanned(userId)) continue;
+    for (const [walletId, wallet] of Object.entries(userWallets)) {
+      if (wallet.active) {
+        activeWallets.push({ userId, walletId, wallet });
+      }
+    }
+  }
+  return activeWallets;
+}
+
+// Groups (user, wallet) subscriptions by address so each address is fetched once per cycle
+function groupByAddress(activeWallets) {
+  const groups = new Map();
+  for (const subscriber of activeWallets) {
+    const address = subscriber.wallet.address;
+    if (!groups.has(address)) groups.set(address, []);
+    groups.get(address).push(subscriber);
+  }
+  return groups;
+}
+
+// Addresses to watch: every tracked one, plus the payment address even without subscribers
+function collectAddressGroups(wallets) {
+  const groups = groupByAddress(collectActiveWallets(wallets));
+  if (billing && !groups.has(PAYMENT_ADDRESS)) groups.set(PAYMENT_ADDRESS, []);
+  return groups;
+}
+
+// Milliseconds between polls of an address: the shortest interval among its subscribers' plans
+function pollInterval(subscribers) {
+  if (subscribers.length === 0) return 0;
+  return Math.min(...subscribers.map(({ userId }) => getPlan(userId).pollSeconds)) * 1000;
+}
 
-    const latestSignature = signatures[0].signature;
-    const lastSignature = lastCheckedSignatures.get(walletId + '_' + wallet.address + '_' + userId);
+async function checkTransactions() {
+  const started = Date.now();
+  try {
+    const wallets = peekWallets();
+    syncSubscriptions(wallets);
+
+    // Addresses with a live subscription are checked as soon as their logs arrive; the others
+    // as often as the best plan among their subscribers allows
+    const now = Date.now();
+    const addressGroups = [...collectAddressGroups(wallets)]
+      .filter(([address]) => !logSubscriber || !logSubscriber.isSubscribed(address))
+      .filter(([address, subscribers]) => now - (lastPolledAt.get(address) || 0) >= pollInterval(subscribers));
     
-    if (!lastSignature) {
-      lastCheckedSignatures.set(walletId + '_' + wallet.address + '_' + userId, latestSignature);
-      console.log(`🔍 Initialized tracking for wallet: ${wallet.name} (user ${userId})`);
+    if (addressGroups.length === 0) {
+      if (!logSubscriber) console.log('📭 No wallets due for a check');
+      recordCycle(started);
       return;
     }
+    
+    console.log(`🔍 Checking ${addressGroups.length} unique addresses...`);
+    
+    // Pacing comes from the RPC pool's rate limiter
+    for (const [address, subscribers] of addressGroups) {
+      lastPolledAt.set(address, Date.now());
+      await checkWalletTransactions(address, subscribers);
+    }
+    
+    console.log(`✅ Completed checking ${addressGroups.length} addresses`);
+    botStats.addressesChecked += addressGroups.length;
+    recordCycle(started);
+    
+  } catch (error) {
+    console.error('❌ Batch transaction checking error:', error);
+  }
+}
+
+// A completed polling cycle; /healthz reports the bot as stalled when these stop
+function recordCycle(started) {
+  botStats.cycles++;
+  botStats.lastCycleMs = Date.now() - started;
+  botStats.lastCycleAt = Date.now();
+}
+
+function syncSubscriptions(wallets) {
+  if (!logSubscriber) return;
+  logSubscriber.setAddresses(collectAddressGroups(wallets).keys());
+}
+
+// Triggered by the log subscription: check this address right away
+async function checkAddressNow(address) {
+  try {
+    const subscribers = collectAddressGroups(peekWallets()).get(address);
+    if (subscribers) await checkWalletTransactions(address, subscribers);
+  } catch (error) {
+    console.error(`❌ Real-time check failed for ${address}:`, error.message);
+  }
+}
+
+// Replays whatever happened while the bot was down, starting from the persisted cursors.
+// With CATCHUP_MAX_AGE_MINUTES <= 0 the backlog is dropped and the cursors move to the newest signature.
+async function catchUpMissedTransactions() {
+  if (Object.keys(storage.get('cursors')).length === 0) return;
+
+  try {
+    const addressGroups = collectAddressGroups(peekWallets());
+
+    console.log(CATCHUP_MAX_AGE_MINUTES > 0
+      ? `⏪ Catching up on ${addressGroups.size} addresses (max age ${CATCHUP_MAX_AGE_MINUTES} min)...`
+      : `⏩ Catch-up disabled, skipping missed transactions for ${addressGroups.size} addresses...`);
+
+    for (const [address, subscribers] of addressGroups) {
+      await checkWalletTransactions(address, subscribers, { catchUp: true });
+    }
+
+    console.log('✅ Catch-up complete');
+  } catch (error) {
+    console.error('❌ Catch-up error:', error);
+  }
+}
+
+// Polling and real-time triggers can overlap; only one check per address runs at a time
+async function checkWalletTransactions(address, subscribers, options = {}) {
+  if (walletChecksInFlight.has(address)) {
+    walletChecksInFlight.set(address, true);
+    return;
+  }
+
+  walletChecksInFlight.set(address, false);
+  try {
+    await pollWalletSignatures(address, subscribers, options);
+  } finally {
+    const rerun = walletChecksInFlight.get(address);
+    walletChecksInFlight.delete(address);
+    if (rerun) await checkWalletTransactions(address, subscribers);
+  }
+}
+
+async function pollWalletSignatures(address, subscribers, options) {
+  try {
+    const publicKey = new PublicKey(address);
+    const cursor = getCursor(address);
 
-    if (latestSignature === lastSignature) {
+    if (!cursor) {
+      const latest = await connection.getSignaturesForAddress(publicKey, { limit: 1 });
+      if (latest.length === 0) return;
+
+      await setCursor(address, latest[0]);
+      console.log(`🔍 Initialized tracking for address: ${address} (${subscribers.length} subscribers)`);
       return;
     }
 
-    console.log(`🆕 New transaction detected for ${wallet.name} (user ${userId})`);
-    
-    await processTransaction(userId, wallet, signatures[0]);
+    // Every payment counts: the payment address pages all the way back to its cursor
+    const maxPages = billing && address === PAYMENT_ADDRESS ? Infinity : MAX_SIGNATURE_PAGES;
+    const { signatures: allSignatures, truncated } = await fetchSignaturesSince(publicKey, cursor.signature, maxPages);
+    if (allSignatures.length === 0) return;
+
+    let signatures = allSignatures;
+    if (options.catchUp && !(billing && address === PAYMENT_ADDRESS)) {
+      // Anything older than the catch-up window is dropped without notifying (payments never are)
+      const cutoff = Date.now() / 1000 - CATCHUP_MAX_AGE_MINUTES * 60;
+      signatures = CATCHUP_MAX_AGE_MINUTES > 0
+        ? allSignatures.filter(sigInfo => !sigInfo.blockTime || sigInfo.blockTime >= cutoff)
+        : [];
+
+      const expired = allSignatures.length - signatures.length;
+      if (expired > 0) {
+        console.log(CATCHUP_MAX_AGE_MINUTES > 0
+          ? `⌛ Ignoring ${expired} transactions older than ${CATCHUP_MAX_AGE_MINUTES} min for ${address}`
+          : `⌛ Ignoring ${expired} missed transactions for ${address}`);
+      }
+      if (signatures.length === 0) {
+        await setCursor(address, allSignatures[0]);
+        return;
+      }
+    }
+
+    console.log(`🆕 ${signatures.length} new transaction(s) detected for ${address}`);
 
-    lastCheckedSignatures.set(walletId + '_' + wallet.address + '_' + userId, latestSignature);
+    // Signatures come back newest first: keep the newest ones and replay them oldest first.
+    // Every payment counts, so the payment address isn't capped.
+    const limit = billing && address === PAYMENT_ADDRESS ? signatures.length : MAX_TRANSACTIONS_PER_CHECK;
+    const toProcess = signatures.slice(0, limit).reverse();
+    const skipped = signatures.length - toProcess.length;
+
+    if (skipped > 0) {
+      console.log(`⚠️ Skipping ${skipped}${truncated ? '+' : ''} older transactions for ${address}`);
+      for (const { userId, wallet } of subscribers) {
+        await sendSkippedNotification(userId, wallet, skipped, truncated);
+      }
+    }
+
+    for (const sigInfo of toProcess) {
+      await processTransaction(address, subscribers, sigInfo, { offline: options.catchUp && CATCHUP_MARK_OFFLINE });
+      // Payments move the cursor one at a time, so a failed one is picked up again next check
+      if (billing && address === PAYMENT_ADDRESS) await setCursor(address, sigInfo);
+    }
+
+    await setCursor(address, allSignatures[0]);
 
   } catch (error) {
-    console.error(`❌ Error checking wallet ${wallet.name}:`, error.message);
+    console.error(`❌ Error checking address ${address}:`, error.message);
     
     if (error.message.includes('429') || error.message.includes('rate')) {
-      console.log(`⏰ Rate limited, will retry later for ${wallet.name}`);
+      console.log(`⏰ All RPC endpoints rate limited, will retry next cycle for ${address}`);
+    }
+  }
+}
+
+// Pages back from the newest signature until `untilSignature` (exclusive).
+// `truncated` is set when the page cap was hit before reaching it.
+async function fetchSignaturesSince(publicKey, untilSignature, maxPages = MAX_SIGNATURE_PAGES) {
+  const signatures = [];
+  let before;
+
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await connection.getSignaturesForAddress(publicKey, {
+      until: untilSignature,
+      before,
+      limit: SIGNATURE_PAGE_SIZE
+    });
+    signatures.push(...batch);
+
+    if (batch.length < SIGNATURE_PAGE_SIZE) {
+      return { signatures, truncated: false };
+    }
+    before = batch[batch.length - 1].signature;
+  }
+
+  return { signatures, truncated: true };
+}
+
+// Funding trace: the first incoming SOL transfer of an address, found by paging back to its
+// earliest signatures. Results: { status: 'found', source, lamports, signature, timestamp },
+// { status: 'not_found' } or { status: 'too_long' } when the history exceeds MAX_TRACE_PAGES.
+async function findFirstFunding(address) {
+  if (fundingCache.has(address)) return fundingCache.get(address);
+
+  const publicKey = new PublicKey(address);
+  let before;
+  let earliest = [];
+  let complete = false;
+
+  for (let page = 0; page < MAX_TRACE_PAGES; page++) {
+    const batch = await connection.getSignaturesForAddress(publicKey, { before, limit: TRACE_PAGE_SIZE });
+    // Keep the tail of the previous page too in case the last one is very short
+    earliest = [...earliest.slice(-TRACE_OLDEST_TRANSACTIONS), ...batch];
+
+    if (batch.length < TRACE_PAGE_SIZE) {
+      complete = true;
+      break;
+    }
+    before = batch[batch.length - 1].signature;
+  }
+
+  if (!complete) return { status: 'too_long' };
+
+  const candidates = earliest.slice(-TRACE_OLDEST_TRANSACTIONS).reverse().filter(sigInfo => !sigInfo.err);
+  for (const sigInfo of candidates) {
+    const transaction = await connection.getParsedTransaction(sigInfo.signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!transaction || !transaction.meta) continue;
+
+    const transfer = await analyzeSolTransaction(transaction, address);
+    if (transfer?.direction !== 'incoming' || transfer.counterparties.length === 0) continue;
+
+    const funding = {
+      status: 'found',
+      source: transfer.counterparties[0].address,
+      lamports: transfer.counterparties[0].amount,
+      signature: sigInfo.signature,
+      timestamp: transfer.timestamp
+    };
+    fundingCache.set(address, funding);
+    return funding;
+  }
+
+  return { status: 'not_found' };
+}
+
+// Follows first fundings upstream for up to `hops` steps, stopping at known entities and loops
+async function traceFunding(address, hops) {
+  const chain = [];
+  const visited = new Set();
+  let current = address;
+
+  for (let hop = 0; hop < hops; hop++) {
+    visited.add(current);
+
+    let funding;
+    try {
+      funding = await findFirstFunding(current);
+    } catch (error) {
+      console.error(`❌ Funding trace failed for ${current}:`, error.message);
+      funding = { status: 'not_found' };
+    }
+    chain.push({ address: current, funding });
+
+    if (funding.status !== 'found' || knownAddresses[funding.source] || visited.has(funding.source)) break;
+    current = funding.source;
+  }
+
+  return chain;
+}
+
+// Fetches and analyzes the transaction once, then applies each subscriber's own filters
+async function processTransaction(address, subscribers, sigInfo, options = {}) {
+  // Until a payment is credited, errors are rethrown so the payment address's cursor stays put
+  let paymentPending = Boolean(billing) && address === PAYMENT_ADDRESS;
+  try {
+    const transaction = await connection.getParsedTransaction(sigInfo.signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (!transaction || !transaction.meta) {
+      if (paymentPending) throw new Error(`Transaction ${sigInfo.signature} is not available yet`);
+      return;
+    }
+
+    console.log(sigInfo.signature);
+    botStats.transactionsAnalyzed++;
+
+    if (paymentPending) {
+      await processPayment(transaction, sigInfo.signature);
+      paymentPending = false;
+    }
+    if (subscribers.length === 0) return;
+
+    const historyEntries = [];
+    const ruleContext = createRuleContext(transaction);
+    const swap = detectSwap(transaction, address);
+    const transfers = await analyzeTransaction(transaction, address);
+    await markNewCounterparties(address, transfers);
+
+    // A swap replaces the individual "sent X to <pool>" / "received Y" alerts, except for
+    // wallets with swap alerts turned off
+    const swapSubscribers = swap ? subscribers.filter(({ wallet }) => wallet.swapAlerts !== false) : [];
+    const transferSubscribers = subscribers.filter(subscriber => !swapSubscribers.includes(subscriber));
+
+    if (swapSubscribers.length > 0) {
+      swap.failed = Boolean(transaction.meta.err);
+      swap.usdValue = (await priceService.getValue(swap.spent.mint, swap.spent.uiAmount, 'usd'))
+        ?? (await priceService.getValue(swap.received.mint, swap.received.uiAmount, 'usd'));
+
+      for (const { userId, walletId, wallet } of swapSubscribers) {
+        const reason = checkSwapFilters(swap, wallet) || await checkRules(swap, userId, wallet, ruleContext);
+        if (!reason) {
+          await sendSwapNotification(userId, wallet, swap, options);
+          console.log(`📤 Swap notification sent for ${wallet.name} (user ${userId}): ${swap.side} ${tokenLabel(swap.tokenMint)}`);
+        } else {
+          botStats.notificationsFiltered++;
+        }
+        historyEntries.push({ userId, walletId, entry: toHistoryEntry(swap, reason) });
+      }
+    }
+
+    if (transferSubscribers.length > 0) {
+      for (const transfer of transfers) {
+        transfer.failed = Boolean(transaction.meta.err);
+        transfer.usdValue = await priceService.getValue(transfer.mint, transfer.uiAmount, 'usd');
+      }
+    }
+
+    for (const transfer of transfers) {
+      for (const { userId, walletId, wallet } of transferSubscribers) {
+        const reason = checkFilters(transfer, wallet) || await checkRules(transfer, userId, wallet, ruleContext);
+        if (!reason) {
+          await sendTransactionNotification(userId, wallet, transfer, options);
+          console.log(`📤 Notification sent for ${wallet.name} (user ${userId}): ${formatTransferAmount(transfer)}`);
+        } else {
+          botStats.notificationsFiltered++;
+        }
+        historyEntries.push({ userId, walletId, entry: toHistoryEntry(transfer, reason) });
+      }
+    }
+    await recordHistory(historyEntries);
+    await recordClusterActivity(subscribers, clusterEvents(swap, transfers));
+  } catch (error) {
+    console.error(`❌ Error processing transaction:`, error.message);
+    if (paymentPending) throw error;
+  }
+}
+
+// All SOL and SPL token movements of `walletAddress` in one transaction
+async function analyzeTransaction(transaction, walletAddress) {
+  const transfers = [];
+
+  const solTransfer = await analyzeSolTransaction(transaction, walletAddress);
+  if (solTransfer) transfers.push(solTransfer);
+
+  transfers.push(...analyzeTokenTransfers(transaction, walletAddress));
+  return transfers;
+}
+
+async function analyzeSolTransaction(transaction, walletAddress) {
+  const preBalances = transaction.meta.preBalances;
+  const postBalances = transaction.meta.postBalances;
+  const accountKeys = transaction.transaction.message.accountKeys;
+
+  let walletIndex = -1;
+  for (let i = 0; i < accountKeys.length; i++) {
+    if (accountKeys[i].pubkey.toString() === walletAddress) {
+      walletIndex = i;
+      break;
+    }
+  }
+
+  if (walletIndex === -1) return null;
+
+  let balanceChange = postBalances[walletIndex] - preBalances[walletIndex];
+  if (Math.abs(balanceChange) < dustThreshold()) return null; // Ignore dust
+
+  const direction = balanceChange > 0 ? 'incoming' : 'outgoing';
+  let counterparties = findInstructionCounterparties(transaction, walletAddress, direction);
+  if (counterparties.length === 0) {
+    counterparties = findBalanceCounterparties(transaction, walletIndex, direction);
+  }
+
+  return {
+    signature: transaction.transaction.signatures[0],
+    mint: null,
+    decimals: 9,
+    amount: Math.abs(balanceChange),
+    uiAmount: Math.abs(balanceChange) / 1e9,
+    direction,
+    timestamp: transaction.blockTime * 1000,
+    receiver_sender: counterparties[0]?.address,
+    counterparties
+  };
+}
+
+// System program transfers (top-level and CPI) as { source, destination, lamports }
+function collectSystemTransfers(transaction) {
+  const instructions = [...transaction.transaction.message.instructions];
+  for (const inner of transaction.meta.innerInstructions || []) {
+    instructions.push(...inner.instructions);
+  }
+
+  const transfers = [];
+  for (const ix of instructions) {
+    if (ix.program !== 'system' || !ix.parsed) continue;
+
+    const { type, info } = ix.parsed;
+    if (type === 'transfer' || type === 'transferWithSeed') {
+      transfers.push({ source: info.source, destination: info.destination, lamports: info.lamports });
+    } else if (type === 'createAccount' || type === 'createAccountWithSeed') {
+      transfers.push({ source: info.source, destination: info.newAccount, lamports: info.lamports });
+    }
+  }
+  return transfers;
+}
+
+// Counterparties named by system transfers to/from the wallet, largest first
+function findInstructionCounterparties(transaction, walletAddress, direction) {
+  const totals = new Map();
+  for (const transfer of collectSystemTransfers(transaction)) {
+    const [self, other] = direction === 'incoming'
+      ? [transfer.destination, transfer.source]
+      : [transfer.source, transfer.destination];
+    if (self !== walletAddress || other === walletAddress) continue;
+    totals.set(other, (totals.get(other) || 0) + transfer.lamports);
+  }
+
+  return [...totals]
+    .map(([address, amount]) => ({ address, amount }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+// Fallback when no system transfer matches (e.g. lamports moved by a program-owned account):
+// every account whose balance moved the opposite way, with the fee added back for the payer
+function findBalanceCounterparties(transaction, walletIndex, direction) {
+  const { preBalances, postBalances, fee } = transaction.meta;
+  const accountKeys = transaction.transaction.message.accountKeys;
+
+  const counterparties = [];
+  for (let i = 0; i < accountKeys.length; i++) {
+    if (i === walletIndex) continue;
+
+    let change = postBalances[i] - preBalances[i];
+    if (i === 0) change += fee;
+
+    const amount = direction === 'incoming' ? -change : change;
+    if (amount > 0) counterparties.push({ address: accountKeys[i].pubkey.toString(), amount });
+  }
+
+  return counterparties.sort((a, b) => b.amount - a.amount);
+}
+
+// Token balances are reported per token account; net them per (owner, mint)
+function netTokenChanges(transaction) {
+  const changes = new Map();
+
+  const addBalances = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (!balance.owner) continue;
+      const key = `${balance.owner}:${balance.mint}`;
+      if (!changes.has(key)) {
+        changes.set(key, { owner: balance.owner, mint: balance.mint, decimals: balance.uiTokenAmount.decimals, delta: 0n });
+      }
+      changes.get(key).delta += sign * BigInt(balance.uiTokenAmount.amount);
     }
+  };
+  addBalances(transaction.meta.preTokenBalances, -1n);
+  addBalances(transaction.meta.postTokenBalances, 1n);
+
+  return [...changes.values()];
+}
+
+// Counterparties of a token transfer are the owners with an opposite change in the same mint
+function analyzeTokenTransfers(transaction, walletAddress) {
+  const changes = netTokenChanges(transaction);
+
+  const transfers = [];
+  for (const change of changes) {
+    if (change.owner !== walletAddress || change.delta === 0n) continue;
+
+    const incoming = change.delta > 0n;
+    const counterparties = changes
+      .filter(other => other.mint === change.mint && other.owner !== walletAddress)
+      .map(other => ({ address: other.owner, amount: Number(incoming ? -other.delta : other.delta) }))
+      .filter(counterparty => counterparty.amount > 0)
+      .sort((a, b) => b.amount - a.amount);
+
+    const amount = Number(incoming ? change.delta : -change.delta);
+    transfers.push({
+      signature: transaction.transaction.signatures[0],
+      mint: change.mint,
+      decimals: change.decimals,
+      amount,
+      uiAmount: amount / 10 ** change.decimals,
+      direction: incoming ? 'incoming' : 'outgoing',
+      timestamp: transaction.blockTime * 1000,
+      receiver_sender: counterparties[0]?.address,
+      counterparties
+    });
+  }
+
+  return transfers;
+}
+
+// Program ids of all top-level and inner instructions
+function invokedPrograms(transaction) {
+  const programIds = transaction.transaction.message.instructions.map(ix => ix.programId.toString());
+  for (const inner of transaction.meta.innerInstructions || []) {
+    programIds.push(...inner.instructions.map(ix => ix.programId.toString()));
   }
+  return new Set(programIds);
+}
+
+function findDexName(transaction) {
+  // In DEX_PROGRAMS order, not instruction order, so aggregators win over the AMMs they route through
+  const invoked = invokedPrograms(transaction);
+  const known = Object.keys(DEX_PROGRAMS).find(programId => invoked.has(programId));
+  return known ? DEX_PROGRAMS[known] : null;
 }
 
-async function processTransaction(userId, wallet, sigInfo) {
-  try {
-    const transaction = await connection.getParsedTransaction(sigInfo.signature, 'confirmed');
-    if (!transaction || !transaction.meta) return;
+// A swap is a transaction through a known DEX program in which the wallet spends exactly
+// one asset and receives exactly one other. SOL and wSOL are merged into a single SOL leg.
+function detectSwap(transaction, walletAddress) {
+  const dex = findDexName(transaction);
+  if (!dex) return null;
 
-    console.log(sigInfo.signature);
+  const accountKeys = transaction.transaction.message.accountKeys;
+  const walletIndex = accountKeys.findIndex(key => key.pubkey.toString() === walletAddress);
+  if (walletIndex === -1) return null;
 
-    const solTransfer = await analyzeSolTransaction(transaction, wallet.address);
-    if (!solTransfer) return;
+  // Add the fee back so it doesn't count as SOL spent on the swap
+  let lamports = transaction.meta.postBalances[walletIndex] - transaction.meta.preBalances[walletIndex];
+  if (walletIndex === 0) lamports += transaction.meta.fee;
 
-    if (shouldNotify(solTransfer, wallet)) {
-      await sendTransactionNotification(userId, wallet, solTransfer);
-      console.log(`📤 Notification sent for ${wallet.name}: ${formatSOL(solTransfer.amount)} SOL`);
+  const legs = [];
+  for (const change of netTokenChanges(transaction)) {
+    if (change.owner !== walletAddress || change.delta === 0n) continue;
+    if (change.mint === WSOL_MINT) {
+      lamports += Number(change.delta);
+      continue;
     }
-  } catch (error) {
-    console.error(`❌ Error processing transaction:`, error.message);
+    legs.push({ mint: change.mint, uiAmount: Number(change.delta) / 10 ** change.decimals });
   }
-}
+  if (lamports !== 0 && Math.abs(lamports) >= dustThreshold()) legs.push({ mint: null, uiAmount: lamports / 1e9 });
 
-async function analyzeSolTransaction(transaction, walletAddress) {
-  const preBalances = transaction.meta.preBalances;
-  const postBalances = transaction.meta.postBalances;
-  const accountKeys = transaction.transaction.message.accountKeys;
+  const spent = legs.filter(leg => leg.uiAmount < 0);
+  const received = legs.filter(leg => leg.uiAmount > 0);
+  if (spent.length !== 1 || received.length !== 1) return null;
 
-  let receiver_sender;
+  const isQuote = (mint) => mint === null || QUOTE_MINTS.has(mint);
+  const spentLeg = { mint: spent[0].mint, uiAmount: -spent[0].uiAmount };
+  const receivedLeg = received[0];
 
-  let walletIndex = -1;
-  for (let i = 0; i < accountKeys.length; i++) {
-    if (accountKeys[i].pubkey.toString() === walletAddress) {
-      walletIndex = i;
-      break;
-    }
-  }
+  let side = 'swap';
+  if (isQuote(spentLeg.mint) && !isQuote(receivedLeg.mint)) side = 'buy';
+  if (!isQuote(spentLeg.mint) && isQuote(receivedLeg.mint)) side = 'sell';
 
-  if (walletIndex === -1) return null;
+  // Price the token in the quote asset; other swaps price what was received in what was spent
+  const sellsToken = side === 'sell' || (side === 'swap' && receivedLeg.mint === null);
+  const [token, quote] = sellsToken ? [spentLeg, receivedLeg] : [receivedLeg, spentLeg];
 
-  let balanceChange = postBalances[walletIndex] - preBalances[walletIndex];
-  if (Math.abs(balanceChange) < DUST_THRESHOLD) return null; // Ignore dust
+  return {
+    type: 'swap',
+    signature: transaction.transaction.signatures[0],
+    dex,
+    side,
+    spent: spentLeg,
+    received: receivedLeg,
+    tokenMint: token.mint,
+    tokenAmount: token.uiAmount,
+    quoteMint: quote.mint,
+    quoteAmount: quote.uiAmount,
+    price: quote.uiAmount / token.uiAmount,
+    timestamp: transaction.blockTime * 1000
+  };
+}
 
-  for (let i = 0; i < accountKeys.length; i++) {
-      if (i !== walletIndex) {
-          const senderBalanceChange = (postBalances[i] - preBalances[i]);
-          // Allow for some variance due to fees
-          if (balanceChange > 0 && senderBalanceChange < 0) {
-            receiver_sender = accountKeys[i].pubkey.toString();
-            break;
-          } else if (balanceChange < 0 && senderBalanceChange > 0 && (senderBalanceChange + balanceChange) < 1000000) {
-            receiver_sender = accountKeys[i].pubkey.toString();
-            break;
-          }
-      }
+function tracksAsset(transfer, wallet) {
+  if (!transfer.mint) return wallet.trackSol !== false;
+  if (wallet.tokenMode === 'all') return true;
+  if (wallet.tokenMode === 'list') return Boolean(wallet.tokenFilters?.[transfer.mint]);
+  return false;
+}
+
+// Compact, display-ready record of an analyzed transfer or swap
+function toHistoryEntry(item, reason) {
+  const entry = {
+    signature: item.signature,
+    timestamp: item.timestamp,
+    notified: !reason,
+    reason: reason || null,
+    usdValue: item.usdValue ?? null
+  };
+
+  if (item.type === 'swap') {
+    return {
+      ...entry,
+      type: 'swap',
+      side: item.side,
+      dex: item.dex,
+      spent: item.spent,
+      received: item.received,
+      tokenMint: item.tokenMint,
+      price: item.price
+    };
   }
 
   return {
-    signature: transaction.transaction.signatures[0],
-    amount: Math.abs(balanceChange),
-    direction: balanceChange > 0 ? 'incoming' : 'outgoing',
-    timestamp: transaction.blockTime * 1000,
-    receiver_sender: receiver_sender
+    ...entry,
+    type: 'transfer',
+    mint: item.mint,
+    uiAmount: item.uiAmount,
+    direction: item.direction,
+    counterparties: (item.counterparties || []).slice(0, MAX_LISTED_COUNTERPARTIES).map(counterparty => ({
+      address: counterparty.address,
+      uiAmount: counterparty.amount / 10 ** item.decimals
+    }))
   };
 }
 
-function shouldNotify(transfer, wallet) {
+// Logs and returns why a transfer was filtered out
+function reject(reason) {
+  console.log(`🚫 ${reason}`);
+  return reason;
+}
+
+// Returns null when the transfer should be notified, otherwise the rejection reason
+function checkFilters(transfer, wallet) {
   const amount = transfer.amount / 1e9; // Convert to SOL
 
-  // If it's a forced/system wallet — apply special rules and ignore usual filters
-  if (wallet.forced) {
-    // Only incoming
-    if (transfer.direction !== 'incoming') {
-      console.log(`🚫 Forced wallet: ignoring non-incoming TX (${transfer.direction})`);
-      return false;
-    }
+  if (!tracksAsset(transfer, wallet)) {
+    return reject(`Asset not tracked: ${transfer.mint ? tokenLabel(transfer.mint) : 'SOL'}`);
+  }
 
-    // Only when amount exactly matches one of allowed values (with tolerance)
-    for (const allowed of FORCED_ALLOWED_AMOUNTS) {
-      if (Math.abs(amount - allowed) <= FORCED_AMOUNT_TOLERANCE) {
-        console.log(`✅ Forced wallet: matched allowed amount ${allowed} SOL`);
-        return true;
-      }
-    }
+  const usdReason = checkUsdFilters(transfer, wallet);
+  if (usdReason) return usdReason;
 
-    console.log(`🚫 Forced wallet: amount ${amount} SOL not in allowed list`);
-    return false;
-  }
+  if (transfer.mint) return checkTokenFilters(transfer, wallet);
   
-  // Usual checks (unchanged for normal wallets)
   // Always enforce the hardcoded minimum
-  if (amount < MINIMUM_SOL_THRESHOLD) {
-    console.log(`🚫 Transaction below minimum threshold: ${amount} SOL`);
-    return false;
+  if (amount < minimumSolThreshold()) {
+    return reject(`Transaction below minimum threshold: ${amount} SOL`);
   }
   
-  // Check user-defined minimum (should be >= MINIMUM_SOL_THRESHOLD)
+  // Check user-defined minimum (should be >= minimumSolThreshold())
   if (wallet.minAmount && amount < wallet.minAmount) {
-    console.log(`🚫 Transaction below user minimum: ${amount} SOL < ${wallet.minAmount} SOL`);
-    return false;
+    return reject(`Transaction below user minimum: ${amount} SOL < ${wallet.minAmount} SOL`);
   }
   
   // Check maximum amount
   if (wallet.maxAmount && amount > wallet.maxAmount) {
-    console.log(`🚫 Transaction above user maximum: ${amount} SOL > ${wallet.maxAmount} SOL`);
-    return false;
+    return reject(`Transaction above user maximum: ${amount} SOL > ${wallet.maxAmount} SOL`);
   }
   
   // Check direction filter
   if (wallet.direction !== 'both' && wallet.direction !== transfer.direction) {
-    console.log(`🚫 Transaction direction filtered: ${transfer.direction} != ${wallet.direction}`);
-    return false;
+    return reject(`Transaction direction filtered: ${transfer.direction} != ${wallet.direction}`);
   }
   
   console.log(`✅ Transaction passes all filters: ${amount} SOL (${transfer.direction})`);
-  return true;
+  return null;
+}
+
+// Swaps need at least one tracked leg. Tracked SOL legs are held to the SOL thresholds, tracked
+// token legs to their per-mint limits; the direction filter doesn't apply.
+function checkSwapFilters(swap, wallet) {
+  const legs = [swap.spent, swap.received].filter(leg => tracksAsset(leg, wallet));
+  if (legs.length === 0) {
+    const assets = [swap.spent, swap.received].map(leg => (leg.mint ? tokenLabel(leg.mint) : 'SOL'));
+    return reject(`Assets not tracked: ${assets.join(' → ')}`);
+  }
+
+  const usdReason = checkUsdFilters(swap, wallet);
+  if (usdReason) return usdReason;
+
+  for (const leg of legs) {
+    if (leg.mint) {
+      const filters = wallet.tokenFilters?.[leg.mint] || {};
+      const label = tokenLabel(leg.mint);
+      if (filters.minAmount && leg.uiAmount < filters.minAmount) {
+        return reject(`Swap below token minimum: ${leg.uiAmount} ${label} < ${filters.minAmount}`);
+      }
+      if (filters.maxAmount && leg.uiAmount > filters.maxAmount) {
+        return reject(`Swap above token maximum: ${leg.uiAmount} ${label} > ${filters.maxAmount}`);
+      }
+      continue;
+    }
+
+    if (leg.uiAmount < minimumSolThreshold()) {
+      return reject(`Swap below minimum threshold: ${leg.uiAmount} SOL`);
+    }
+    if (wallet.minAmount && leg.uiAmount < wallet.minAmount) {
+      return reject(`Swap below user minimum: ${leg.uiAmount} SOL < ${wallet.minAmount} SOL`);
+    }
+    if (wallet.maxAmount && leg.uiAmount > wallet.maxAmount) {
+      return reject(`Swap above user maximum: ${leg.uiAmount} SOL > ${wallet.maxAmount} SOL`);
+    }
+  }
+
+  return null;
+}
+
+// Rules engine: per-wallet rules evaluated in order after the basic filters.
+// Each rule returns a rejection reason or null; counterparty rules only see transfers.
+const RULE_DEFAULTS = {
+  counterpartyMode: 'any', // 'any', 'allow' (only listed) or 'deny' (ignore listed)
+  counterparties: [],
+  ignorePrograms: false,
+  ignoreOwnWallets: false,
+  ignoreFailed: false,
+  firstInteractionOnly: false,
+  activeHours: null // { from: 'HH:MM', to: 'HH:MM', timeZone }
+};
+
+const RULES = [
+  (item, rules) => (rules.ignoreFailed && item.failed ? 'Rule: transaction failed' : null),
+
+  (item, rules) => {
+    if (!rules.activeHours) return null;
+    const { from, to, timeZone } = rules.activeHours;
+    const time = localTimeParts(new Date(item.timestamp), timeZone).time;
+    const inside = from < to ? time >= from && time < to : time >= from || time < to;
+    return inside ? null : `Rule: outside active hours (${time} ${timeZone})`;
+  },
+
+  (item, rules) => {
+    if (!item.counterparties || rules.counterpartyMode === 'any') return null;
+    const listed = item.counterparties.some(counterparty => rules.counterparties.includes(counterparty.address));
+    if (rules.counterpartyMode === 'allow' && !listed) return 'Rule: counterparty not on allow list';
+    if (rules.counterpartyMode === 'deny' && listed) return 'Rule: counterparty on deny list';
+    return null;
+  },
+
+  // A transfer into a pool or vault shows the program-owned account as counterparty, so this
+  // looks at the programs the transaction invoked instead
+  (item, rules, context) => {
+    if (!rules.ignorePrograms || !item.counterparties?.length) return null;
+    const program = [...context.programs].find(programId =>
+      !TRANSFER_PROGRAM_IDS.has(programId) && (DEX_PROGRAMS[programId] || knownAddresses[programId]?.type === 'program')
+    );
+    if (program) return `Rule: interaction with ${DEX_PROGRAMS[program] || knownAddresses[program].name}`;
+    return item.counterparties.every(counterparty => knownAddresses[counterparty.address]?.type === 'program')
+      ? 'Rule: counterparty is a known program'
+      : null;
+  },
+
+  (item, rules, context) => {
+    if (!rules.ignoreOwnWallets || !item.counterparties?.length) return null;
+    const allOwn = item.counterparties.every(counterparty => context.ownWallets.has(counterparty.address));
+    return allOwn ? 'Rule: transfer between your own wallets' : null;
+  },
+
+  (item, rules) => {
+    if (!rules.firstInteractionOnly || !item.counterparties) return null;
+    return item.counterparties.some(counterparty => counterparty.isNew) ? null : 'Rule: counterparty seen before';
+  }
+];
+
+// What the rules know about one transaction beyond the item itself, built once per user
+// and only when a subscriber has rules
+function createRuleContext(transaction) {
+  const programs = invokedPrograms(transaction);
+  const contexts = new Map(); // userId -> context
+
+  return (userId) => {
+    if (!contexts.has(userId)) contexts.set(userId, { ...buildCounterpartyContext(userId), programs });
+    return contexts.get(userId);
+  };
+}
+
+async function checkRules(item, userId, wallet, ruleContext) {
+  if (!wallet.rules) return null;
+
+  const rules = { ...RULE_DEFAULTS, ...wallet.rules };
+  const context = ruleContext(userId);
+  for (const rule of RULES) {
+    const reason = rule(item, rules, context);
+    if (reason) return reject(reason);
+  }
+  return null;
+}
+
+// USD limits apply to anything with a known `usdValue`; unpriced items pass
+function checkUsdFilters(item, wallet) {
+  if (item.usdValue === null || item.usdValue === undefined) return null;
+
+  if (wallet.minUsd && item.usdValue < wallet.minUsd) {
+    return reject(`Value below user minimum: $${item.usdValue.toFixed(2)} < $${wallet.minUsd}`);
+  }
+
+  if (wallet.maxUsd && item.usdValue > wallet.maxUsd) {
+    return reject(`Value above user maximum: $${item.usdValue.toFixed(2)} > $${wallet.maxUsd}`);
+  }
+
+  return null;
+}
+
+// Token transfers skip the SOL thresholds and use the per-mint limits instead
+function checkTokenFilters(transfer, wallet) {
+  const filters = wallet.tokenFilters?.[transfer.mint] || {};
+  const label = tokenLabel(transfer.mint);
+
+  if (filters.minAmount && transfer.uiAmount < filters.minAmount) {
+    return reject(`Token transfer below minimum: ${transfer.uiAmount} ${label} < ${filters.minAmount}`);
+  }
+
+  if (filters.maxAmount && transfer.uiAmount > filters.maxAmount) {
+    return reject(`Token transfer above maximum: ${transfer.uiAmount} ${label} > ${filters.maxAmount}`);
+  }
+
+  if (wallet.direction !== 'both' && wallet.direction !== transfer.direction) {
+    return reject(`Transaction direction filtered: ${transfer.direction} != ${wallet.direction}`);
+  }
+
+  console.log(`✅ Token transfer passes all filters: ${transfer.uiAmount} ${label} (${transfer.direction})`);
+  return null;
+}
+
+// Cluster detection: every analyzed buy and outgoing transfer to a new counterparty is kept
+// (in memory, so not across restarts) for the longest cluster window; a cluster fires when
+// enough of its wallets share the same token/destination inside its own window, then stays
+// quiet for that key for one window.
+async function recordClusterActivity(subscribers, events) {
+  pruneClusterActivity();
+
+  for (const { userId, walletId } of subscribers) {
+    const clusters = Object.entries(storage.get('clusters', userId) || {})
+      .filter(([clusterId, cluster]) => cluster.walletIds.includes(walletId));
+    if (clusters.length === 0) continue;
+
+    for (const event of events) {
+      const activityKey = `${userId}:${event.kind}:${event.key}`;
+      const activity = (clusterActivity.get(activityKey) || [])
+        .filter(entry => entry.timestamp >= event.timestamp - MAX_CLUSTER_WINDOW_MINUTES * 60 * 1000);
+      if (!activity.some(entry => entry.walletId === walletId && entry.signature === event.signature)) {
+        activity.push({ walletId, timestamp: event.timestamp, signature: event.signature });
+      }
+      clusterActivity.set(activityKey, activity);
+
+      for (const [clusterId, cluster] of clusters) {
+        await evaluateCluster(userId, clusterId, { ...CLUSTER_DEFAULTS, ...cluster }, event, activity);
+      }
+    }
+  }
+}
+
+function pruneClusterActivity() {
+  const cutoff = Date.now() - MAX_CLUSTER_WINDOW_MINUTES * 60 * 1000;
+  for (const [key, activity] of clusterActivity) {
+    if (activity.every(entry => entry.timestamp < cutoff)) clusterActivity.delete(key);
+  }
+  for (const [key, timestamp] of clusterAlerts) {
+    if (timestamp < cutoff) clusterAlerts.delete(key);
+  }
+}
+
+function clusterEvents(swap, transfers) {
+  if (swap) {
+    return swap.side === 'buy'
+      ? [{ kind: 'sameToken', key: swap.tokenMint, timestamp: swap.timestamp, signature: swap.signature }]
+      : [];
+  }
+
+  return transfers
+    .filter(transfer => transfer.direction === 'outgoing')
+    .flatMap(transfer => transfer.counterparties
+      .filter(counterparty => counterparty.isNew)
+      .map(counterparty => ({ kind: 'sameDestination', key: counterparty.address, timestamp: transfer.timestamp, signature: transfer.signature })));
+}
+
+async function evaluateCluster(userId, clusterId, cluster, event, activity) {
+  if (!cluster[event.kind]) return;
+
+  const windowMs = cluster.windowMinutes * 60 * 1000;
+  const alertKey = `${userId}:${clusterId}:${event.kind}:${event.key}`;
+  if (event.timestamp - (clusterAlerts.get(alertKey) || 0) < windowMs) return;
+
+  // Latest activity per member wallet inside the window
+  const members = new Map();
+  for (const entry of activity) {
+    if (!cluster.walletIds.includes(entry.walletId) || event.timestamp - entry.timestamp > windowMs) continue;
+    members.set(entry.walletId, entry);
+  }
+  if (members.size < cluster.minWallets) return;
+
+  clusterAlerts.set(alertKey, event.timestamp);
+  await sendClusterNotification(userId, cluster, event, [...members.values()]);
+}
+
+const MAX_LISTED_COUNTERPARTIES = 5;
+const ENTITY_ICONS = { exchange: '🏦', program: '⚙️', service: '🏢' };
+
+// The user's labels and other tracked wallets, used to name counterparties in alerts
+function buildCounterpartyContext(userId) {
+  const ownWallets = new Map();
+  for (const wallet of Object.values(storage.peek('wallets', userId) || {})) {
+    ownWallets.set(wallet.address, wallet.name);
+  }
+
+  return { labels: storage.peek('addressBook', userId) || {}, ownWallets };
+}
+
+// `escape` adapts user-provided names to the message's parse mode
+function describeCounterparty(counterparty, context, escape = (text) => text) {
+  const { address } = counterparty;
+  const label = context.labels[address];
+  const ownWallet = context.ownWallets.get(address);
+  const entity = knownAddresses[address];
+
+  let text = address;
+  if (label) text = `🏷️ ${escape(label)} (${shortenAddress(address)})`;
+  else if (ownWallet) text = `💼 ${escape(ownWallet)} (${shortenAddress(address)})`;
+  else if (entity) text = `${ENTITY_ICONS[entity.type] || '🏢'} ${escape(entity.name)} (${shortenAddress(address)})`;
+
+  if (ownWallet) text += ' · your tracked wallet';
+  if (counterparty.isNew) text += ' · 🆕 new';
+  return text;
+}
+
+// Markdown-escaped, for alerts
+function formatCounterparties(transfer, context) {
+  const counterparties = transfer.counterparties || [];
+  if (counterparties.length === 0) return 'Unknown';
+  if (counterparties.length === 1) return describeCounterparty(counterparties[0], context, escapeMarkdown);
+
+  const lines = counterparties.slice(0, MAX_LISTED_COUNTERPARTIES).map((counterparty) =>
+    `\n  • ${describeCounterparty(counterparty, context, escapeMarkdown)} (${formatAssetAmount(transfer.mint, counterparty.amount / 10 ** transfer.decimals)})`
+  );
+  const hidden = counterparties.length - MAX_LISTED_COUNTERPARTIES;
+  if (hidden > 0) lines.push(`\n  • …and ${hidden} more`);
+  return lines.join('');
+}
+
+// Queues an alert for each of the wallet's delivery targets, or for the owning chat when it has none.
+// Alerts with a `summary` ({ text, url }: one line and a Solscan link) may be merged with others
+// for the same wallet during a burst.
+function deliverAlert(userId, wallet, message, options, summary) {
+  botStats.alertsQueued++;
+  const targets = wallet.targets?.length ? wallet.targets : [{ chatId: userId }];
+  for (const target of targets) {
+    const meta = summary
+      ? { coalesceKey: `${wallet.address}:${target.threadId || ''}`, title: wallet.name, summary: summary.text, url: summary.url }
+      : {};
+    sendQueue.enqueue(target.chatId, message, { ...options, message_thread_id: target.threadId }, meta);
+  }
+}
+
+function summarizeAlertBurst(items) {
+  const lines = items.slice(0, MAX_COALESCED_LINES).map(item => `• ${item.summary} · [view](${item.url})`);
+  const hidden = items.length - MAX_COALESCED_LINES;
+  if (hidden > 0) lines.push(`• …and ${hidden} more`);
+  return `⚡ **${items[0].title}**: ${items.length} alerts in a burst\n\n${lines.join('\n')}`;
+}
+
+// A chat that blocked the bot (or removed it) stops being a delivery target, and its own
+// wallets are paused until it sends /start again
+async function deactivateBlockedChat(chatId) {
+  const blockedId = String(chatId);
+  let paused = 0;
+
+  await updateWallets((wallets) => {
+    for (const userWallets of Object.values(wallets)) {
+      for (const wallet of Object.values(userWallets)) {
+        if (wallet.targets?.length) wallet.targets = wallet.targets.filter(target => String(target.chatId) !== blockedId);
+      }
+    }
+    for (const wallet of Object.values(wallets[blockedId] || {})) {
+      if (wallet.active) {
+        wallet.active = false;
+        wallet.pausedByBlock = true;
+        paused++;
+      }
+    }
+  });
+  await storage.update('settings', (settings) => {
+    if (!settings[blockedId]) settings[blockedId] = {};
+    settings[blockedId].blocked = true;
+  });
+
+  console.log(`🚫 Chat ${chatId} blocked the bot, paused ${paused} wallet(s)`);
+}
+
+// Undoes deactivateBlockedChat; resolves with the number of resumed wallets
+async function reactivateChat(chatId) {
+  const id = String(chatId);
+  if (!storage.get('settings', id)?.blocked) return 0;
+
+  const resumed = await updateWallets((wallets) => {
+    let count = 0;
+    for (const wallet of Object.values(wallets[id] || {})) {
+      if (wallet.pausedByBlock) {
+        wallet.active = true;
+        delete wallet.pausedByBlock;
+        count++;
+      }
+    }
+    return count;
+  });
+  await storage.update('settings', (settings) => {
+    delete settings[id].blocked;
+  });
+
+  console.log(`✅ Chat ${chatId} is back, resumed ${resumed} wallet(s)`);
+  return resumed;
 }
 
-async function sendTransactionNotification(userId, wallet, transfer) {
-  const amount = formatSOL(transfer.amount);
+async function sendTransactionNotification(userId, wallet, transfer, options = {}) {
+  const amount = formatTransferAmount(transfer) + await fiatSuffix(userId, transfer.mint, transfer.uiAmount);
   const direction = transfer.direction === 'incoming' ? '📥' : '📤';
   const directionText = transfer.direction === 'incoming' ? 'received' : 'sent';
-  const receiver_sender = transfer.receiver_sender;
+  const context = buildCounterpartyContext(userId);
   
   const message = `${direction} **${wallet.name}** Transaction Alert!\n\n` +
-                  `💰 Amount: ${amount} SOL ${directionText}\n` +
-                  `📍 ${transfer.direction === 'incoming' ? 'From: ' : 'To: '} ${receiver_sender}\n` +
-                  `🕐 Time: ${new Date(transfer.timestamp).toLocaleString()}\n`
+                  `💰 Amount: ${amount} ${directionText}\n` +
+                  (transfer.mint ? `🪙 Token: ${transfer.mint}\n` : '') +
+                  `📍 ${transfer.direction === 'incoming' ? 'From: ' : 'To: '} ${formatCounterparties(transfer, context)}\n` +
+                  `🕐 Time: ${new Date(transfer.timestamp).toLocaleString()}\n` +
+                  (options.offline ? `🌙 Detected while the bot was offline\n` : '');
+
+  const buttons = [{ text: "🔗 View TX", url: `https://solscan.io/tx/${transfer.signature}` }];
+  if (transfer.receiver_sender) {
+    buttons.push({
+      text: transfer.direction === 'incoming' ? "👤 View Sender" : "👤 View Receiver",
+      url: `https://solscan.io/account/${transfer.receiver_sender}`
+    });
+  }
+  const keyboard = { reply_markup: { inline_keyboard: [buttons] } };
+
+  deliverAlert(userId, wallet, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard },
+    { text: `${direction} ${amount} ${directionText}`, url: `https://solscan.io/tx/${transfer.signature}` });
+  deliverWebhooks(wallet, { type: 'transfer', data: transfer, text: message, url: `https://solscan.io/tx/${transfer.signature}` });
+}
+
+async function sendSwapNotification(userId, wallet, swap, options = {}) {
+  const headline = {
+    buy: `🟢 **${wallet.name}** Bought ${tokenLabel(swap.tokenMint)}`,
+    sell: `🔴 **${wallet.name}** Sold ${tokenLabel(swap.tokenMint)}`,
+    swap: `🔁 **${wallet.name}** Swapped`
+  }[swap.side];
+  const quoteLabel = swap.quoteMint ? tokenLabel(swap.quoteMint) : 'SOL';
+
+  const message = `${headline} on ${swap.dex}\n\n` +
+                  `💸 Spent: ${formatAssetAmount(swap.spent.mint, swap.spent.uiAmount)}${await fiatSuffix(userId, swap.spent.mint, swap.spent.uiAmount)}\n` +
+                  `💰 Received: ${formatAssetAmount(swap.received.mint, swap.received.uiAmount)}${await fiatSuffix(userId, swap.received.mint, swap.received.uiAmount)}\n` +
+                  `📈 Price: ${swap.price.toPrecision(6)} ${quoteLabel} per ${tokenLabel(swap.tokenMint)}\n` +
+                  `🪙 Token: ${swap.tokenMint}\n` +
+                  `🕐 Time: ${new Date(swap.timestamp).toLocaleString()}\n` +
+                  (options.offline ? `🌙 Detected while the bot was offline\n` : '');
 
   const keyboard = {
       reply_markup: {
           inline_keyboard: [
               [
-                  { text: "🔗 View TX", url: `https://solscan.io/tx/${transfer.signature}` },
-                  { text: "👤 View Sender", url: `https://solscan.io/account/${transfer.receiver_sender}` }
-              ]
+                  { text: "🔗 View TX", url: `https://solscan.io/tx/${swap.signature}` },
+                  { text: "🪙 View Token", url: `https://solscan.io/token/${swap.tokenMint}` }
+              ],
+              [{ text: "📊 Chart", url: `https://dexscreener.com/solana/${swap.tokenMint}` }]
           ]
       }
   };
 
-  try {
-    await bot.sendMessage(userId, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard });
-  } catch (error) {
-    console.error(`Failed to send notification to user ${userId}:`, error);
+  deliverAlert(userId, wallet, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard }, {
+    text: `${{ buy: '🟢', sell: '🔴', swap: '🔁' }[swap.side]} ${formatAssetAmount(swap.spent.mint, swap.spent.uiAmount)} → ${formatAssetAmount(swap.received.mint, swap.received.uiAmount)}`,
+    url: `https://solscan.io/tx/${swap.signature}`
+  });
+  deliverWebhooks(wallet, { type: 'swap', data: swap, text: message, url: `https://solscan.io/tx/${swap.signature}` });
+}
+
+async function sendSkippedNotification(userId, wallet, skipped, truncated) {
+  const message = `⚠️ **${wallet.name}** burst detected\n\n` +
+                  `⏭️ ${skipped}${truncated ? '+' : ''} more transactions skipped since the last check.\n` +
+                  `Only the latest ${MAX_TRANSACTIONS_PER_CHECK} were analyzed.`;
+
+  const keyboard = {
+      reply_markup: {
+          inline_keyboard: [
+              [{ text: "👤 View Wallet", url: `https://solscan.io/account/${wallet.address}` }]
+          ]
+      }
+  };
+
+  deliverAlert(userId, wallet, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard });
+}
+
+async function sendClusterNotification(userId, cluster, event, members) {
+  const wallets = storage.get('wallets', userId) || {};
+  const action = event.kind === 'sameToken'
+    ? `bought ${tokenLabel(event.key)}`
+    : `sent to the same new address ${shortenAddress(event.key)}`;
+
+  const lines = members
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(member => `• ${escapeMarkdown(wallets[member.walletId]?.name || 'Removed wallet')} at ${new Date(member.timestamp).toLocaleTimeString()}`);
+
+  const message = `🕸️ **${cluster.name}** Cluster Alert\n\n` +
+                  `${members.length} wallets ${action} within ${cluster.windowMinutes} min:\n` +
+                  `${lines.join('\n')}\n\n` +
+                  `📍 ${event.kind === 'sameToken' ? 'Token' : 'Address'}: ${event.key}`;
+
+  const buttons = event.kind === 'sameToken'
+    ? [
+        { text: "🪙 View Token", url: `https://solscan.io/token/${event.key}` },
+        { text: "📊 Chart", url: `https://dexscreener.com/solana/${event.key}` }
+      ]
+    : [{ text: "👤 View Address", url: `https://solscan.io/account/${event.key}` }];
+
+  const delivery = clusterDelivery(userId, cluster, wallets);
+  deliverAlert(userId, delivery, message, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: [buttons] }
+  });
+  deliverWebhooks(delivery, { type: 'cluster', data: { cluster: cluster.name, ...event, members }, text: message, url: buttons[0].url });
+}
+
+// Cluster alerts go wherever the member wallets deliver to, each chat and webhook once
+function clusterDelivery(userId, cluster, wallets) {
+  const members = cluster.walletIds.map(walletId => wallets[walletId]).filter(Boolean);
+  const targets = new Map();
+  const webhooks = new Map();
+
+  for (const wallet of members) {
+    for (const target of wallet.targets?.length ? wallet.targets : [{ chatId: userId }]) {
+      targets.set(`${target.chatId}:${target.threadId || ''}`, target);
+    }
+    for (const hook of wallet.webhooks || []) webhooks.set(hook.url, hook);
+  }
+
+  return { name: `${cluster.name} (cluster)`, targets: [...targets.values()], webhooks: [...webhooks.values()] };
+}
+
+async function sendBalanceNotification(userId, wallet, headline, sol) {
+  const message = `💎 **${wallet.name}**\n\n` +
+                  `${headline}\n` +
+                  `💰 Current balance: ${sol.toFixed(4)} SOL${await fiatSuffix(userId, null, sol)}\n` +
+                  `🕐 Time: ${new Date().toLocaleString()}`;
+
+  const keyboard = {
+      reply_markup: {
+          inline_keyboard: [
+              [{ text: "👤 View Wallet", url: `https://solscan.io/account/${wallet.address}` }]
+          ]
+      }
+  };
+
+  deliverAlert(userId, wallet, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard },
+    { text: headline, url: `https://solscan.io/account/${wallet.address}` });
+}
+
+// Balance monitoring: one getBalance per address per interval for wallets with balance alerts
+async function checkBalances() {
+  const subscribers = collectActiveWallets(peekWallets())
+    .filter(({ wallet }) => hasBalanceAlerts(wallet));
+
+  for (const [address, addressSubscribers] of groupByAddress(subscribers)) {
+    let lamports;
+    try {
+      lamports = await connection.getBalance(new PublicKey(address));
+    } catch (error) {
+      console.error(`❌ Failed to fetch balance for ${address}:`, error.message);
+      continue;
+    }
+
+    const now = Date.now();
+    const samples = (balanceSamples.get(address) || []).filter(sample => sample.time >= now - MAX_BALANCE_WINDOW_MINUTES * 60 * 1000);
+    samples.push({ time: now, lamports });
+    balanceSamples.set(address, samples);
+
+    for (const subscriber of addressSubscribers) {
+      await evaluateBalanceAlerts(subscriber, lamports, samples);
+    }
+  }
+}
+
+// Crossing state is persisted so a restart doesn't alert again for the same crossing
+async function clearBalanceAlertState(userId, walletId) {
+  await storage.update('balanceAlerts', (balanceAlerts) => {
+    delete balanceAlerts[`${userId}:${walletId}`];
+  });
+}
+
+// Thresholds fire once per crossing; % changes compare against the window's high/low and
+// stay quiet for one window after firing
+async function evaluateBalanceAlerts({ userId, walletId, wallet }, lamports, samples) {
+  const settings = { ...BALANCE_ALERT_DEFAULTS, ...wallet.balanceAlerts };
+  const key = `${userId}:${walletId}`;
+  const previous = storage.get('balanceAlerts', key) || { below: false, above: false, changeAlertedAt: 0 };
+  const state = { ...previous };
+  const sol = lamports / 1e9;
+  const now = Date.now();
+
+  if (settings.below !== null) {
+    const isBelow = sol < settings.below;
+    if (isBelow && !state.below) await sendBalanceNotification(userId, wallet, `📉 Balance dropped below ${settings.below} SOL`, sol);
+    state.below = isBelow;
+  }
+
+  if (settings.above !== null) {
+    const isAbove = sol > settings.above;
+    if (isAbove && !state.above) await sendBalanceNotification(userId, wallet, `📈 Balance rose above ${settings.above} SOL`, sol);
+    state.above = isAbove;
+  }
+
+  const windowMs = settings.windowMinutes * 60 * 1000;
+  if (settings.changePercent !== null && now - state.changeAlertedAt >= windowMs) {
+    const inWindow = samples.filter(sample => sample.time >= now - windowMs).map(sample => sample.lamports);
+    const high = Math.max(...inWindow);
+    const low = Math.min(...inWindow);
+    const drop = high > 0 ? ((high - lamports) / high) * 100 : 0;
+    const rise = low > 0 ? ((lamports - low) / low) * 100 : 0;
+
+    if (drop >= settings.changePercent) {
+      await sendBalanceNotification(userId, wallet, `⚡ Balance fell ${drop.toFixed(1)}% from ${formatSOL(high)} SOL in ${settings.windowMinutes} min`, sol);
+      state.changeAlertedAt = now;
+    } else if (rise >= settings.changePercent) {
+      await sendBalanceNotification(userId, wallet, `⚡ Balance grew ${rise.toFixed(1)}% from ${formatSOL(low)} SOL in ${settings.windowMinutes} min`, sol);
+      state.changeAlertedAt = now;
+    }
+  }
+
+  if (JSON.stringify(state) !== JSON.stringify(previous)) {
+    await storage.update('balanceAlerts', (balanceAlerts) => {
+      balanceAlerts[key] = state;
+    });
   }
 }
 
+function scheduleBalanceChecks() {
+  setTimeout(async () => {
+    try {
+      await checkBalances();
+    } catch (error) {
+      console.error('❌ Error during balance check:', error);
+    } finally {
+      scheduleBalanceChecks();
+    }
+  }, BALANCE_CHECK_INTERVAL);
+}
+
 async function start() {
   console.log('🚀 Starting Solana Wallet Tracker Bot...');
   
-  await initDataFile();
+  await storage.init();
+  const outbox = Object.values(storage.get('outbox'));
+  if (outbox.length > 0) {
+    sendQueue.restore(outbox);
+    console.log(`📮 Resuming ${outbox.length} queued alert(s) from the last run`);
+  }
+  botInfo = await bot.getMe();
+  connection.startHealthChecks();
+  console.log(`🌐 Using ${SOLANA_RPC_URLS.length} RPC endpoint(s), ${RPC_REQUESTS_PER_SECOND || 'unlimited'} req/s`);
 
-  // Ensure forced/system wallet exists for all existing users on startup
-  const wallets = await loadWallets();
-  let injected = false;
-  for (const userId of Object.keys(wallets)) {
-    if (!wallets[userId][FORCED_WALLET_ID]) {
-      wallets[userId][FORCED_WALLET_ID] = {
-        name: FORCED_WALLET_NAME,
-        address: FORCED_WALLET_ADDRESS,
-        minAmount: null,
-        maxAmount: null,
-        direction: 'incoming',
-        active: true,
-        forced: true,
-        created: new Date().toISOString()
-      };
-      injected = true;
-    }
+  billing = PAYMENT_ADDRESS ? createBilling({ storage, plans: await loadPlans(), invoiceTtlMs: INVOICE_TTL_HOURS * 60 * 60 * 1000 }) : null;
+  if (billing) {
+    console.log(`💳 Accepting payments at ${PAYMENT_ADDRESS}`);
+    await enforcePlanLimits();
+  }
+
+  // Up before the catch-up, which can take a while after a long downtime
+  if (METRICS_PORT) {
+    await createMetricsServer({ port: METRICS_PORT, host: METRICS_HOST, getHealth, getMetrics: collectMetrics }).start();
+    console.log(`📈 Health and metrics on http://${METRICS_HOST}:${METRICS_PORT}`);
+  }
+
+  await loadKnownAddresses();
+  await bot.startPolling();
+  await catchUpMissedTransactions();
+
+  if (logSubscriber) {
+    syncSubscriptions(await loadWallets());
+    logSubscriber.start();
   }
-  if (injected) await saveWallets(wallets);
   
   // Запускаем первую проверку
   scheduleNextCheck();
+  scheduleBalanceChecks();
+
+  setInterval(() => {
+    sendDueDigests().catch(error => console.error('❌ Error during digest check:', error));
+  }, 60 * 1000);
+
+  if (billing) {
+    setInterval(() => {
+      expireSubscriptions().catch(error => console.error('❌ Error during subscription expiry:', error));
+    }, 60 * 1000);
+  }
   
   console.log('✅ Bot is running and monitoring transactions!');
   console.log('📱 Send /start to your bot to begin tracking wallets.');
 }
 
+// Health and metrics
+// Telegram counts as down while polling is stopped or the last polling error is under a minute old
+async function getHealth() {
+  const cycleAge = Math.round((Date.now() - (botStats.lastCycleAt || botStats.startedAt)) / 1000);
+  const endpoints = connection.getMetrics();
+  const checks = {
+    telegram: bot.isPolling() && !(botStats.lastPollingErrorAt > Date.now() - 60 * 1000),
+    cycle: { ok: cycleAge <= HEALTH_MAX_CYCLE_AGE_SECONDS, ageSeconds: cycleAge },
+    rpc: { ok: endpoints.some(endpoint => endpoint.healthy), healthyEndpoints: endpoints.filter(endpoint => endpoint.healthy).length }
+  };
+  return { healthy: checks.telegram && checks.cycle.ok && checks.rpc.ok, checks };
+}
+
+async function collectMetrics() {
+  const wallets = peekWallets();
+  const queue = sendQueue.getStats();
+  const endpoints = connection.getMetrics();
+  const perEndpoint = (read) => endpoints.map(endpoint => ({ labels: { endpoint: endpoint.endpoint }, value: read(endpoint) }));
+  const metric = (name, type, help, samples) => ({ name: `wallet_tracker_${name}`, type, help, samples });
+
+  return [
+    metric('cycles_total', 'counter', 'Completed polling cycles', [{ value: botStats.cycles }]),
+    metric('cycle_duration_seconds', 'gauge', 'Duration of the last polling cycle', [{ value: (botStats.lastCycleMs ?? NaN) / 1000 }]),
+    metric('last_cycle_timestamp_seconds', 'gauge', 'Unix time of the last completed polling cycle', [{ value: (botStats.lastCycleAt ?? NaN) / 1000 }]),
+    metric('tracked_wallets', 'gauge', 'Active tracked wallets', [{ value: collectActiveWallets(wallets).length }]),
+    metric('addresses_checked_total', 'counter', 'Addresses checked by the polling loop', [{ value: botStats.addressesChecked }]),
+    metric('transactions_analyzed_total', 'counter', 'Transactions fetched and analyzed', [{ value: botStats.transactionsAnalyzed }]),
+    metric('notifications_total', 'counter', 'Alert outcomes: sent to Telegram, filtered out, or dropped after failing (Telegram or webhook)', [
+      { labels: { result: 'sent' }, value: queue.sent },
+      { labels: { result: 'filtered' }, value: botStats.notificationsFiltered },
+      { labels: { result: 'failed' }, value: queue.deadLettered + botStats.webhooksFailed }
+    ]),
+    metric('send_queue_pending', 'gauge', 'Messages waiting in the outbound queue', [{ value: queue.pending }]),
+    metric('rpc_up', 'gauge', 'Whether the RPC endpoint is considered healthy', perEndpoint(endpoint => (endpoint.healthy ? 1 : 0))),
+    metric('rpc_requests_total', 'counter', 'RPC requests per endpoint', perEndpoint(endpoint => endpoint.requests)),
+    metric('rpc_errors_total', 'counter', 'Failed RPC requests per endpoint', perEndpoint(endpoint => endpoint.errors)),
+    metric('rpc_rate_limited_total', 'counter', 'RPC requests answered with 429 per endpoint', perEndpoint(endpoint => endpoint.rateLimited)),
+    metric('rpc_latency_seconds', 'summary', 'Latency of successful RPC requests per endpoint', [
+      ...perEndpoint(endpoint => endpoint.totalLatencyMs / 1000).map(sample => ({ ...sample, suffix: '_sum' })),
+      ...perEndpoint(endpoint => endpoint.successes).map(sample => ({ ...sample, suffix: '_count' }))
+    ])
+  ];
+}
+
 function scheduleNextCheck() {
   setTimeout(async () => {
     try {
@@ -865,9 +4655,23 @@ function scheduleNextCheck() {
 
 // Error handling
 bot.on('polling_error', (error) => {
+  botStats.lastPollingErrorAt = Date.now();
   console.error('Polling error:', error);
 });
 
+// Cursors, history and seen counterparties are written behind; save them before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, saving state...`);
+    try {
+      await storage.flush();
+    } catch (error) {
+      console.error('❌ Failed to save state:', error.message);
+    }
+    process.exit(0);
+  });
+}
+
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
 });
@@ -0,0 +1,73 @@
+// metrics-server.js
+const http = require('http');
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Prometheus text format. A metric is { name, help, type, samples: [{ labels, value, suffix }] };
+// `suffix` is for summaries (`_sum`, `_count`).
+function formatPrometheus(metrics) {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { labels = {}, value, suffix = '' } of metric.samples) {
+      const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+      lines.push(`${metric.name}${suffix}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// GET /healthz answers 200 or 503 with the JSON from `getHealth()` ({ healthy, checks });
+// GET /metrics renders `getMetrics()` for Prometheus
+function createMetricsServer({ port, host = '127.0.0.1', getHealth, getMetrics }) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method !== 'GET') {
+        res.writeHead(405, { Allow: 'GET' });
+        res.end();
+        return;
+      }
+
+      if (pathname === '/healthz') {
+        const health = await getHealth();
+        res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(health));
+      } else if (pathname === '/metrics') {
+        const body = formatPrometheus(await getMetrics());
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (error) {
+      console.error('📈 Metrics request failed:', error.message);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+
+  return {
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          // Later server errors are logged instead of crashing the bot
+          server.on('error', error => console.error('📈 Metrics server error:', error.message));
+          resolve();
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createMetricsServer };
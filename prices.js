@@ -0,0 +1,121 @@
+// prices.js
+const axios = require('axios');
+
+// SOL and wrapped SOL share one price entry
+const SOL = 'SOL';
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+function priceKey(mint) {
+  return mint === null || mint === undefined || mint === WSOL_MINT ? SOL : mint;
+}
+
+// A provider resolves { [key]: price } for the keys it knows; unknown keys are left out.
+// Keys are mint addresses, or 'SOL' for native SOL.
+
+// Fixed prices, e.g. { SOL: { usd: 150, eur: 140 } }; for tests and offline runs
+function createStubProvider(prices = {}) {
+  return {
+    async fetchPrices(keys, currency) {
+      return Object.fromEntries(
+        keys.filter(key => prices[key]?.[currency] !== undefined).map(key => [key, prices[key][currency]])
+      );
+    }
+  };
+}
+
+// CoinGecko-compatible HTTP API (`/simple/price` and `/simple/token_price/solana`)
+function createHttpProvider({ apiUrl = 'https://api.coingecko.com/api/v3', apiKey, timeout = 10000 }) {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout,
+    headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {}
+  });
+
+  return {
+    async fetchPrices(keys, currency) {
+      const prices = {};
+
+      if (keys.includes(SOL)) {
+        const { data } = await client.get('/simple/price', { params: { ids: 'solana', vs_currencies: currency } });
+        if (data.solana?.[currency] !== undefined) prices[SOL] = data.solana[currency];
+      }
+
+      const mints = keys.filter(key => key !== SOL);
+      if (mints.length > 0) {
+        const { data } = await client.get('/simple/token_price/solana', {
+          params: { contract_addresses: mints.join(','), vs_currencies: currency }
+        });
+        for (const mint of mints) {
+          // The API may lowercase addresses in its response
+          const price = (data[mint] || data[mint.toLowerCase()])?.[currency];
+          if (price !== undefined) prices[mint] = price;
+        }
+      }
+
+      return prices;
+    }
+  };
+}
+
+function createProvider({ provider, apiUrl, apiKey, stubPrices }) {
+  if (typeof provider === 'object') return provider;
+
+  switch (provider) {
+    case 'http':
+      return createHttpProvider({ apiUrl, apiKey });
+    case 'stub':
+      return createStubProvider(stubPrices);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown price provider: ${provider}`);
+  }
+}
+
+// Caches prices (including "no price") per currency for `ttlMs`. When the provider fails it
+// isn't asked again for `failureCooldownMs`, so an outage doesn't put a request timeout in front
+// of every alert; stale cached prices are served meanwhile instead of none at all.
+//
+// `provider` is 'http', 'stub', 'none' or any object with fetchPrices(keys, currency).
+function createPriceService({ provider = 'none', apiUrl, apiKey, stubPrices, ttlMs = 60000, failureCooldownMs = 60000 } = {}) {
+  const source = createProvider({ provider, apiUrl, apiKey, stubPrices });
+  const cache = new Map(); // `${currency}:${key}` -> { price, expires }
+  let cooldownUntil = 0;
+
+  async function getPrices(mints, currency) {
+    const keys = [...new Set(mints.map(priceKey))];
+    const now = Date.now();
+    const missing = keys.filter(key => !(cache.get(`${currency}:${key}`)?.expires > now));
+
+    if (source && missing.length > 0 && now >= cooldownUntil) {
+      try {
+        const fetched = await source.fetchPrices(missing, currency);
+        for (const key of missing) {
+          cache.set(`${currency}:${key}`, { price: fetched[key] ?? null, expires: now + ttlMs });
+        }
+      } catch (error) {
+        cooldownUntil = Date.now() + failureCooldownMs;
+        console.error(`💱 Failed to fetch ${currency.toUpperCase()} prices, pausing lookups for ${failureCooldownMs / 1000}s:`, error.message);
+      }
+    }
+
+    return Object.fromEntries(keys.map(key => [key, cache.get(`${currency}:${key}`)?.price ?? null]));
+  }
+
+  return {
+    getPrices,
+
+    // Price of one unit of `mint` (null for SOL), or null when unknown
+    async getPrice(mint, currency) {
+      return (await getPrices([mint], currency))[priceKey(mint)];
+    },
+
+    // Value of `amount` units of `mint`, or null when the price is unknown
+    async getValue(mint, amount, currency) {
+      const price = await this.getPrice(mint, currency);
+      return price === null ? null : price * amount;
+    }
+  };
+}
+
+module.exports = { createPriceService };
@@ -0,0 +1,223 @@
+// rpc-pool.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { Connection } = require('@solana/web3.js');
+
+const BACKOFF_BASE_DELAY = 500;
+const BACKOFF_MAX_DELAY = 30000;
+const UNHEALTHY_AFTER_FAILURES = 3;
+
+// Connection methods the bot uses; each call goes through the rate limiter and failover
+const RPC_METHODS = ['getSignaturesForAddress', 'getParsedTransaction', 'getBalance', 'getParsedTokenAccountsByOwner', 'getSlot'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Per-call state the fetch wrapper reports into. web3.js turns failed responses into plain
+// errors, so this is how a call learns the Retry-After of its own response.
+const callState = new AsyncLocalStorage();
+
+// Token bucket shared by all endpoints: `rate` requests per second, bursts up to `burst`.
+// Waiters are served in arrival order.
+function createRateLimiter(rate, burst = rate) {
+  if (!(rate > 0)) return { acquire: async () => {} };
+
+  let tokens = burst;
+  let updated = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - updated) / 1000) * rate);
+    updated = now;
+  }
+
+  return {
+    acquire() {
+      queue = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(((1 - tokens) / rate) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    }
+  };
+}
+
+// Seconds or an HTTP date, as milliseconds from now
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// Errors worth retrying on another endpoint; null for request errors that would fail anywhere
+function classifyError(error) {
+  const message = String(error?.message || error);
+  if (/\b429\b/.test(message)) return 'rate_limited';
+  if (/\b5\d\d [A-Z]/.test(message)) return 'server_error';
+  if (/fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(message)) return 'network_error';
+  return null;
+}
+
+function createEndpoint(url, commitment) {
+  const endpoint = {
+    url,
+    // Hosts only: RPC URLs often carry API keys
+    label: new URL(url).host,
+    healthy: true,
+    failures: 0,
+    cooldownUntil: 0,
+    metrics: { requests: 0, successes: 0, errors: 0, rateLimited: 0, totalLatencyMs: 0, lastError: null }
+  };
+
+  endpoint.connection = new Connection(url, {
+    commitment,
+    // Rate limits are handled here, across endpoints, instead of web3.js retrying in place
+    disableRetryOnRateLimit: true,
+    fetch: async (input, init) => {
+      const response = await fetch(input, init);
+      const state = callState.getStore();
+      if (state && (response.status === 429 || response.status >= 500)) {
+        state.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      }
+      return response;
+    }
+  });
+
+  return endpoint;
+}
+
+// A drop-in for the subset of `Connection` listed in RPC_METHODS, spread over several endpoints.
+// Endpoints are tried in the given order; one that is rate limited or failing is put on an
+// exponential cooldown (at least its Retry-After) and the next one takes over.
+function createRpcPool({ urls, commitment = 'confirmed', requestsPerSecond = 10, maxAttempts = 4, healthCheckInterval = 30000 }) {
+  if (!urls || urls.length === 0) throw new Error('At least one RPC URL is required');
+
+  const endpoints = urls.map(url => createEndpoint(url, commitment));
+  const limiter = createRateLimiter(requestsPerSecond);
+  let healthTimer = null;
+
+  function setHealthy(endpoint, healthy) {
+    if (endpoint.healthy === healthy) return;
+    endpoint.healthy = healthy;
+    console.log(healthy ? `🌐 RPC ${endpoint.label} is back up` : `🌐 RPC ${endpoint.label} is down, failing over`);
+  }
+
+  function markSuccess(endpoint, started) {
+    endpoint.metrics.successes += 1;
+    endpoint.metrics.totalLatencyMs += Date.now() - started;
+    endpoint.failures = 0;
+    setHealthy(endpoint, true);
+  }
+
+  function markFailure(endpoint, kind, error, retryAfterMs = 0) {
+    endpoint.failures += 1;
+    endpoint.metrics.errors += 1;
+    if (kind === 'rate_limited') endpoint.metrics.rateLimited += 1;
+    endpoint.metrics.lastError = String(error?.message || error).slice(0, 200);
+
+    const backoff = Math.min(BACKOFF_BASE_DELAY * 2 ** (endpoint.failures - 1), BACKOFF_MAX_DELAY);
+    // Concurrent failures may finish out of order; never shorten a cooldown already in place
+    endpoint.cooldownUntil = Math.max(endpoint.cooldownUntil, Date.now() + Math.max(backoff, retryAfterMs));
+
+    if (kind !== 'rate_limited' && endpoint.failures >= UNHEALTHY_AFTER_FAILURES) setHealthy(endpoint, false);
+  }
+
+  // First healthy endpoint off cooldown, else any endpoint off cooldown
+  function pickEndpoint() {
+    const now = Date.now();
+    const available = endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+    return available.find(endpoint => endpoint.healthy) || available[0] || null;
+  }
+
+  async function call(method, args) {
+    let lastError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      let endpoint = pickEndpoint();
+      if (!endpoint) {
+        // Everything is cooling down: wait for the endpoint that comes back first
+        endpoint = endpoints.reduce((a, b) => (a.cooldownUntil <= b.cooldownUntil ? a : b));
+        await sleep(Math.min(endpoint.cooldownUntil - Date.now(), BACKOFF_MAX_DELAY));
+      }
+
+      await limiter.acquire();
+      const started = Date.now();
+      const state = { retryAfterMs: 0 };
+      endpoint.metrics.requests += 1;
+
+      try {
+        const result = await callState.run(state, () => endpoint.connection[method](...args));
+        markSuccess(endpoint, started);
+        return result;
+      } catch (error) {
+        const kind = classifyError(error);
+        if (!kind) {
+          endpoint.metrics.errors += 1;
+          throw error;
+        }
+        markFailure(endpoint, kind, error, state.retryAfterMs);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // A failed probe counts like any failed call: an endpoint goes down after
+  // UNHEALTHY_AFTER_FAILURES in a row, and one success brings it back
+  async function checkHealth() {
+    for (const endpoint of endpoints) {
+      if (endpoint.cooldownUntil > Date.now()) continue;
+
+      await limiter.acquire();
+      const started = Date.now();
+      const state = { retryAfterMs: 0 };
+      endpoint.metrics.requests += 1;
+      try {
+        await callState.run(state, () => endpoint.connection.getSlot());
+        markSuccess(endpoint, started);
+      } catch (error) {
+        markFailure(endpoint, classifyError(error) || 'server_error', error, state.retryAfterMs);
+      }
+    }
+  }
+
+  const pool = {
+    startHealthChecks() {
+      if (healthTimer) return;
+      healthTimer = setInterval(() => {
+        checkHealth().catch(error => console.error('🌐 RPC health check error:', error.message));
+      }, healthCheckInterval);
+    },
+
+    stopHealthChecks() {
+      clearInterval(healthTimer);
+      healthTimer = null;
+    },
+
+    getMetrics() {
+      return endpoints.map(endpoint => ({
+        endpoint: endpoint.label,
+        healthy: endpoint.healthy,
+        coolingDownMs: Math.max(0, endpoint.cooldownUntil - Date.now()),
+        ...endpoint.metrics,
+        avgLatencyMs: endpoint.metrics.successes > 0
+          ? Math.round(endpoint.metrics.totalLatencyMs / endpoint.metrics.successes)
+          : null
+      }));
+    }
+  };
+
+  for (const method of RPC_METHODS) {
+    pool[method] = (...args) => call(method, args);
+  }
+
+  return pool;
+}
+
+module.exports = { createRpcPool };
@@ -0,0 +1,217 @@
+// send-queue.js
+const fs = require('fs').promises;
+
+// Telegram allows about one message per second per chat and 20 per minute in groups
+const PRIVATE_CHAT_INTERVAL = 1000;
+const GROUP_CHAT_INTERVAL = 3000;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+// node-telegram-bot-api rejects with ETELEGRAM errors carrying the API response body
+function telegramErrorCode(error) {
+  return error.response?.body?.error_code || error.response?.statusCode || null;
+}
+
+// Usually user text (a label, a wallet name) breaking the Markdown of an alert
+function isParseError(error) {
+  return /can't parse entities/i.test(error.response?.body?.description || error.message);
+}
+
+function chatInterval(chatId) {
+  // Group and channel ids are negative
+  return Number(chatId) < 0 ? GROUP_CHAT_INTERVAL : PRIVATE_CHAT_INTERVAL;
+}
+
+// Outbound queue for alerts. Each chat is sent to at most once per chat interval and all
+// chats share `globalPerSecond`. Flood-control 429s are retried after `retry_after`, other
+// transient errors with exponential backoff; messages that can't be delivered end up in the
+// dead-letter file. A 403 (bot blocked or removed) drops the chat's queue and calls `onBlocked`.
+// A message whose formatting Telegram can't parse is retried once without `parse_mode`.
+//
+// While a chat is throttled its alerts pile up; once `coalesceMin` of them share a coalesce key
+// they go out as one message built by `summarize(items)`.
+//
+// `persist.add(item)` and `persist.remove(items)` mirror the queue into durable storage as items
+// come and go; `restore(items)` puts them back after a restart. Delivery is at least once.
+function createSendQueue({ send, globalPerSecond = 25, maxAttempts = 5, coalesceMin = 3, summarize, deadLetterPath, onBlocked, persist }) {
+  const chats = new Map(); // String(chatId) -> { items, nextAt }
+  const stats = { sent: 0, retried: 0, coalesced: 0, deadLettered: 0, blocked: 0 };
+  let globalNextAt = 0;
+  let timer = null;
+  let draining = false;
+  let sequence = 0;
+
+  // Called synchronously, so the storage write is queued ahead of anything the caller does next
+  function persistChange(method, value) {
+    if (!persist) return;
+    const logError = (error) => console.error('📮 Failed to persist the send queue:', error.message);
+    try {
+      Promise.resolve(persist[method](value)).catch(logError);
+    } catch (error) {
+      logError(error);
+    }
+  }
+
+  function push(item) {
+    if (!chats.has(item.chatId)) chats.set(item.chatId, { items: [], nextAt: 0 });
+    chats.get(item.chatId).items.push(item);
+  }
+
+  async function deadLetter(items, reason) {
+    stats.deadLettered += items.length;
+    console.error(`📮 Dropped ${items.length} message(s) for chat ${items[0].chatId}: ${reason}`);
+    if (!deadLetterPath) return;
+
+    const lines = items.map(item => JSON.stringify({
+      time: new Date().toISOString(),
+      chatId: item.chatId,
+      reason,
+      attempts: item.attempts,
+      text: item.text
+    }));
+    try {
+      await fs.appendFile(deadLetterPath, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('📮 Failed to write dead-letter log:', error.message);
+    }
+  }
+
+  function remove(chatId, chat, items) {
+    chat.items = chat.items.filter(item => !items.includes(item));
+    if (chat.items.length === 0) chats.delete(chatId);
+    persistChange('remove', items);
+  }
+
+  // The chat whose next message may go out first, and when
+  function nextReady() {
+    let next = null;
+    for (const [chatId, chat] of chats) {
+      if (!next || chat.nextAt < next.chat.nextAt) next = { chatId, chat };
+    }
+    if (next) next.at = Math.max(next.chat.nextAt, globalNextAt);
+    return next;
+  }
+
+  function schedule() {
+    if (draining) return;
+    clearTimeout(timer);
+    const next = nextReady();
+    if (!next) return;
+    timer = setTimeout(drain, Math.max(0, next.at - Date.now()));
+  }
+
+  async function drain() {
+    draining = true;
+    try {
+      let next;
+      while ((next = nextReady()) && next.at <= Date.now()) {
+        await sendNext(next.chatId, next.chat);
+      }
+    } finally {
+      draining = false;
+      schedule();
+    }
+  }
+
+  async function sendNext(chatId, chat) {
+    const item = chat.items[0];
+    const batch = item.coalesceKey
+      ? chat.items.filter(other => other.coalesceKey === item.coalesceKey)
+      : [item];
+    const merged = summarize && batch.length >= coalesceMin;
+
+    let text = item.text;
+    let options = item.options;
+    if (merged) {
+      // Per-alert buttons don't apply to a summary
+      const { reply_markup, ...rest } = item.options;
+      text = summarize(batch);
+      options = rest;
+    }
+    if (item.plain) {
+      const { parse_mode, ...rest } = options;
+      options = rest;
+    }
+
+    const now = Date.now();
+    chat.nextAt = now + chatInterval(chatId);
+    globalNextAt = now + 1000 / globalPerSecond;
+
+    try {
+      await send(chatId, text, options);
+      stats.sent += 1;
+      if (merged) stats.coalesced += batch.length;
+      remove(chatId, chat, batch);
+    } catch (error) {
+      const code = telegramErrorCode(error);
+
+      if (code === 429) {
+        const retryAfter = error.response.body?.parameters?.retry_after || 1;
+        chat.nextAt = Date.now() + retryAfter * 1000;
+        stats.retried += 1;
+        console.log(`⏳ Telegram flood control for chat ${chatId}, retrying in ${retryAfter}s`);
+        return;
+      }
+
+      if (code === 403) {
+        stats.blocked += 1;
+        chats.delete(chatId);
+        persistChange('remove', chat.items);
+        await deadLetter(chat.items, error.message);
+        if (onBlocked) {
+          try {
+            await onBlocked(chatId, error);
+          } catch (blockedError) {
+            console.error(`Failed to deactivate blocked chat ${chatId}:`, blockedError.message);
+          }
+        }
+        return;
+      }
+
+      if (code === 400 && options.parse_mode && isParseError(error)) {
+        for (const other of batch) other.plain = true;
+        stats.retried += 1;
+        console.log(`📝 Message for chat ${chatId} has broken formatting, resending as plain text`);
+        return;
+      }
+
+      item.attempts += 1;
+      // Other 4xx (bad markup, missing topic, ...) would fail the same way again
+      const permanent = code >= 400 && code < 500;
+      if (permanent || item.attempts >= maxAttempts) {
+        remove(chatId, chat, batch);
+        await deadLetter(batch, error.message);
+        return;
+      }
+
+      chat.nextAt = Date.now() + Math.min(RETRY_BASE_DELAY * 2 ** (item.attempts - 1), RETRY_MAX_DELAY);
+      stats.retried += 1;
+    }
+  }
+
+  return {
+    // `meta.coalesceKey` groups alerts that may be merged; `meta` is handed to `summarize` as-is
+    // Chat ids arrive both as numbers and as strings (storage keys); both share one queue
+    enqueue(chatId, text, options = {}, meta = {}) {
+      const now = Date.now();
+      const item = { ...meta, id: `${now.toString(36)}-${sequence++}`, chatId: String(chatId), text, options, attempts: 0, queuedAt: now };
+      push(item);
+      persistChange('add', item);
+      schedule();
+    },
+
+    // Items persisted by a previous run, oldest first
+    restore(items) {
+      for (const item of [...items].sort((a, b) => a.queuedAt - b.queuedAt)) push(item);
+      schedule();
+    },
+
+    getStats() {
+      let pending = 0;
+      for (const chat of chats.values()) pending += chat.items.length;
+      return { ...stats, pending, chats: chats.size };
+    }
+  };
+}
+
+module.exports = { createSendQueue };
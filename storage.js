@@ -0,0 +1,295 @@
+// storage.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// Every piece of persistent state lives in one document made of named collections.
+// Bump SCHEMA_VERSION together with a new entry in MIGRATIONS.
+const SCHEMA_VERSION = 8;
+const COLLECTIONS = ['wallets', 'cursors', 'addressBook', 'seenCounterparties', 'history', 'settings', 'clusters', 'billing', 'config', 'balanceAlerts', 'outbox'];
+// Collections updated for (almost) every processed transaction. They are written behind, at most
+// once per FLUSH_INTERVAL, so a crash can lose that much of them: at worst a few transactions are
+// replayed from an older cursor. The JSON backend also keeps each of them in its own file.
+// Order matters: the outbox is written before the cursors, so a cursor on disk never points past
+// an alert that isn't on disk either.
+const HOT_COLLECTIONS = ['outbox', 'cursors', 'history', 'seenCounterparties'];
+const FLUSH_INTERVAL = 2000;
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// MIGRATIONS[n] upgrades a document from version n to n + 1
+const MIGRATIONS = [
+  // 0 -> 1: import the standalone JSON files used before the storage layer existed
+  async (document, { legacyDir }) => {
+    document.wallets = (await readJsonFile(path.join(legacyDir, 'wallets.json'))) || {};
+    document.addressBook = (await readJsonFile(path.join(legacyDir, 'addressbook.json'))) || {};
+    document.seenCounterparties = (await readJsonFile(path.join(legacyDir, 'counterparties.json'))) || {};
+
+    // Cursors were once kept per (wallet, user); collapse them onto their address
+    document.cursors = {};
+    const legacyCursors = (await readJsonFile(path.join(legacyDir, 'cursors.json'))) || {};
+    for (const [key, cursor] of Object.entries(legacyCursors)) {
+      const address = cursor.address || key;
+      const existing = document.cursors[address];
+      if (!existing || (cursor.slot || 0) > (existing.slot || 0)) {
+        document.cursors[address] = { ...cursor, address };
+      }
+    }
+  },
+
+  // 1 -> 2: per-wallet transfer history
+  async (document) => {
+    document.history = {};
+  },
+
+  // 2 -> 3: per-user preferences (digest schedule, ...)
+  async (document) => {
+    document.settings = {};
+  },
+
+  // 3 -> 4: user-defined wallet clusters for multi-wallet pattern alerts
+  async (document) => {
+    document.clusters = {};
+  },
+
+  // 4 -> 5: the system wallet injected into every list is replaced by subscriptions
+  async (document) => {
+    for (const userWallets of Object.values(document.wallets)) {
+      for (const [walletId, wallet] of Object.entries(userWallets)) {
+        if (wallet.forced) delete userWallets[walletId];
+      }
+    }
+    document.billing = {};
+  },
+
+  // 5 -> 6: operator overrides of runtime settings
+  async (document) => {
+    document.config = {};
+  },
+
+  // 6 -> 7: balance alert state, so threshold alerts don't fire again after a restart
+  async (document) => {
+    document.balanceAlerts = {};
+  },
+
+  // 7 -> 8: alerts waiting in the send queue, so a restart doesn't lose them
+  async (document) => {
+    document.outbox = {};
+  }
+];
+
+// JSON file backend: hot collections live in `store.<collection>.json`, everything else in
+// `store.json`, and only files with changed collections are rewritten. Each file is written to a
+// temp file and renamed over the original, so a crash mid-write leaves either the old or the new
+// version on disk.
+function createJsonBackend(dataDir) {
+  const mainPath = path.join(dataDir, 'store.json');
+  const hotPath = (name) => path.join(dataDir, `store.${name}.json`);
+
+  async function readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+  }
+
+  async function writeFile(filePath, text) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(text);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  }
+
+  return {
+    // Documents from before the split still carry the hot collections in store.json
+    async load() {
+      const document = await readFile(mainPath);
+      if (!document) return null;
+
+      for (const name of HOT_COLLECTIONS) {
+        const collection = await readFile(hotPath(name));
+        if (collection) document[name] = collection;
+      }
+      return document;
+    },
+
+    async save(document, changed) {
+      const names = changed || Object.keys(document);
+
+      for (const name of HOT_COLLECTIONS.filter(name => names.includes(name))) {
+        await writeFile(hotPath(name), JSON.stringify(document[name]));
+      }
+
+      if (names.some(name => !HOT_COLLECTIONS.includes(name))) {
+        const main = Object.fromEntries(Object.entries(document).filter(([name]) => !HOT_COLLECTIONS.includes(name)));
+        await writeFile(mainPath, JSON.stringify(main, null, 2));
+      }
+    }
+  };
+}
+
+// SQLite backend: one row per collection, only changed collections are rewritten.
+// Requires the optional `better-sqlite3` dependency.
+function createSqliteBackend(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS collections (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+
+  const selectAll = db.prepare('SELECT name, data FROM collections');
+  const upsert = db.prepare(
+    'INSERT INTO collections (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data'
+  );
+  const writeCollections = db.transaction((entries) => {
+    for (const [name, value] of entries) upsert.run(name, JSON.stringify(value));
+  });
+
+  return {
+    async load() {
+      const rows = selectAll.all();
+      if (rows.length === 0) return null;
+      return Object.fromEntries(rows.map(row => [row.name, JSON.parse(row.data)]));
+    },
+
+    async save(document, changed) {
+      const names = changed ? [...changed, 'version'] : Object.keys(document);
+      writeCollections(names.map(name => [name, document[name]]));
+    }
+  };
+}
+
+function createBackend({ backend = 'json', dataDir }) {
+  switch (backend) {
+    case 'json':
+      return createJsonBackend(dataDir);
+    case 'sqlite':
+      return createSqliteBackend(path.join(dataDir, 'store.sqlite'));
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+// The document is held in memory; reads return copies and all mutations go through
+// one queue, so concurrent handlers can't interleave a read-modify-write.
+function createStorage({ backend = 'json', dataDir, legacyDir = dataDir }) {
+  const store = createBackend({ backend, dataDir });
+  let document = null;
+  let queue = Promise.resolve();
+  const dirty = new Set(); // hot collections changed since the last flush
+  let flushTimer = null;
+
+  function enqueue(task) {
+    const result = queue.then(task);
+    // Keep the queue alive after a failed task; the caller still sees the error
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(error => console.error('🗄️ Failed to save storage:', error.message));
+    }, FLUSH_INTERVAL);
+  }
+
+  // Writes the pending hot collections; failed ones stay dirty and are retried
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    return enqueue(async () => {
+      if (dirty.size === 0) return;
+      const names = [...dirty];
+      dirty.clear();
+      try {
+        await store.save(document, names);
+      } catch (error) {
+        for (const name of names) dirty.add(name);
+        scheduleFlush();
+        throw error;
+      }
+    });
+  }
+
+  return {
+    async init() {
+      document = (await store.load()) || { version: 0 };
+
+      const from = document.version || 0;
+      if (from > SCHEMA_VERSION) {
+        throw new Error(`Storage schema v${from} is newer than this bot (v${SCHEMA_VERSION})`);
+      }
+
+      for (let version = from; version < SCHEMA_VERSION; version++) {
+        await MIGRATIONS[version](document, { legacyDir });
+        document.version = version + 1;
+        console.log(`🗄️ Migrated storage to schema v${document.version}`);
+      }
+
+      for (const name of COLLECTIONS) {
+        if (!document[name]) document[name] = {};
+      }
+      await store.save(document);
+    },
+
+    // Copy of a whole collection, or of one entry when `key` is given
+    get(collection, key) {
+      const value = key === undefined ? document[collection] : document[collection][key];
+      return value === undefined ? undefined : structuredClone(value);
+    },
+
+    // The stored collection, or one entry, without copying it. Updates replace collections
+    // instead of changing them, so this is a consistent snapshot; callers must not modify it.
+    peek(collection, key) {
+      return key === undefined ? document[collection] : document[collection][key];
+    },
+
+    // Runs `mutate` on a copy of the collection and persists it once it resolves (hot
+    // collections on the next flush). Resolves with whatever `mutate` returns.
+    update(collection, mutate) {
+      return enqueue(async () => {
+        const draft = structuredClone(document[collection]);
+        const result = await mutate(draft);
+        const previous = document[collection];
+
+        document[collection] = draft;
+        if (HOT_COLLECTIONS.includes(collection)) {
+          dirty.add(collection);
+          scheduleFlush();
+          return result;
+        }
+
+        try {
+          await store.save(document, [collection]);
+        } catch (error) {
+          document[collection] = previous;
+          throw error;
+        }
+        return result;
+      });
+    },
+
+    flush
+  };
+}
+
+module.exports = { createStorage, SCHEMA_VERSION };
@@ -0,0 +1,210 @@
+// subscriptions.js
+const WebSocket = require('ws');
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const HEARTBEAT_INTERVAL = 30000;
+
+// Keeps one `logsSubscribe` subscription per address on a Solana RPC WebSocket.
+// Reconnects with exponential backoff and resubscribes everything after each reconnect.
+//
+// Callbacks:
+//   onLogs(address, { signature, slot, err })  - a transaction mentioning `address` landed
+//   onSubscribed(address)                      - subscription confirmed (also after reconnects)
+//   onStatusChange(connected)                  - socket opened / closed
+function createLogSubscriber({ url, commitment = 'confirmed', onLogs, onSubscribed, onStatusChange }) {
+  const addresses = new Set();
+  const subscriptions = new Map(); // address -> subscription id
+  const subscriptionAddresses = new Map(); // subscription id -> address
+  const pendingRequests = new Map(); // request id -> { method, address }
+  const subscribing = new Set(); // addresses with a logsSubscribe request in flight
+
+  let socket = null;
+  let connected = false;
+  let stopped = true;
+  let requestId = 0;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let awaitingPong = false;
+
+  function send(method, params, address) {
+    const id = ++requestId;
+    pendingRequests.set(id, { method, address });
+    socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+  }
+
+  function subscribe(address) {
+    if (!connected || subscriptions.has(address) || subscribing.has(address)) return;
+    subscribing.add(address);
+    send('logsSubscribe', [{ mentions: [address] }, { commitment }], address);
+  }
+
+  function unsubscribe(address) {
+    const subscriptionId = subscriptions.get(address);
+    subscriptions.delete(address);
+    if (subscriptionId === undefined) return;
+
+    subscriptionAddresses.delete(subscriptionId);
+    if (connected) send('logsUnsubscribe', [subscriptionId], address);
+  }
+
+  function handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      console.error('🔌 Ignoring malformed WebSocket message');
+      return;
+    }
+
+    if (message.id !== undefined && pendingRequests.has(message.id)) {
+      const { method, address } = pendingRequests.get(message.id);
+      pendingRequests.delete(message.id);
+      if (method === 'logsSubscribe') subscribing.delete(address);
+
+      if (message.error) {
+        console.error(`🔌 ${method} failed for ${address}:`, message.error.message);
+        return;
+      }
+
+      if (method === 'logsSubscribe') {
+        // The address may have been removed while the request was in flight
+        if (!addresses.has(address)) {
+          send('logsUnsubscribe', [message.result], address);
+          return;
+        }
+        subscriptions.set(address, message.result);
+        subscriptionAddresses.set(message.result, address);
+        if (onSubscribed) onSubscribed(address);
+      }
+      return;
+    }
+
+    if (message.method === 'logsNotification') {
+      const { result, subscription } = message.params;
+      const address = subscriptionAddresses.get(subscription);
+      if (!address || !onLogs) return;
+
+      onLogs(address, {
+        signature: result.value.signature,
+        slot: result.context.slot,
+        err: result.value.err
+      });
+    }
+  }
+
+  function setConnected(value) {
+    if (connected === value) return;
+    connected = value;
+    if (onStatusChange) onStatusChange(value);
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (awaitingPong) {
+        console.error('🔌 WebSocket heartbeat timed out, reconnecting...');
+        socket.terminate();
+        return;
+      }
+      awaitingPong = true;
+      socket.ping();
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    awaitingPong = false;
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY);
+    reconnectAttempts += 1;
+    console.log(`🔌 WebSocket reconnecting in ${delay / 1000}s...`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function connect() {
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      console.log(`🔌 WebSocket connected, subscribing to ${addresses.size} addresses`);
+      reconnectAttempts = 0;
+      setConnected(true);
+      startHeartbeat();
+      for (const address of addresses) subscribe(address);
+    });
+
+    socket.on('message', handleMessage);
+
+    socket.on('pong', () => {
+      awaitingPong = false;
+    });
+
+    socket.on('error', (error) => {
+      console.error('🔌 WebSocket error:', error.message);
+    });
+
+    socket.on('close', () => {
+      stopHeartbeat();
+      subscriptions.clear();
+      subscriptionAddresses.clear();
+      pendingRequests.clear();
+      subscribing.clear();
+      setConnected(false);
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (socket) socket.close();
+    },
+
+    // Replaces the tracked address set, subscribing/unsubscribing only the difference
+    setAddresses(nextAddresses) {
+      const next = new Set(nextAddresses);
+
+      for (const address of addresses) {
+        if (!next.has(address)) {
+          addresses.delete(address);
+          unsubscribe(address);
+        }
+      }
+
+      for (const address of next) {
+        if (!addresses.has(address)) {
+          addresses.add(address);
+          subscribe(address);
+        }
+      }
+    },
+
+    isConnected() {
+      return connected;
+    },
+
+    isSubscribed(address) {
+      return connected && subscriptions.has(address);
+    }
+  };
+}
+
+module.exports = { createLogSubscriber };
@@ -0,0 +1,109 @@
+// test/billing.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createBilling, pauseWalletsOverLimit, resumeWalletsWithinLimit, LAMPORTS_PER_SOL } = require('../billing');
+
+const PLANS = {
+  free: { name: 'Free', maxWallets: 2, pollSeconds: 60 },
+  pro: { name: 'Pro', priceSol: 0.5, days: 30, maxWallets: 10, pollSeconds: 10 }
+};
+const PRO_LAMPORTS = 0.5 * LAMPORTS_PER_SOL;
+
+// Keep the storage migration logs out of the test output
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+async function setup(t, options = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'billing-test-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  const storage = createStorage({ dataDir });
+  await storage.init();
+  return { storage, billing: createBilling({ storage, plans: PLANS, ...options }) };
+}
+
+test('matches payments by the memo reference, whatever the amount', async (t) => {
+  const { billing } = await setup(t);
+  const reference = await billing.getReference('1');
+  assert.strictEqual(await billing.getReference('1'), reference);
+
+  assert.deepStrictEqual(
+    billing.matchPayment({ lamports: PRO_LAMPORTS, memo: `plan for ${reference.toLowerCase()}` }),
+    { userId: '1', planId: 'pro', via: 'memo' }
+  );
+  assert.deepStrictEqual(
+    billing.matchPayment({ lamports: PRO_LAMPORTS - 1, memo: reference }),
+    { userId: '1', planId: null, via: 'memo' }
+  );
+  assert.strictEqual(billing.matchPayment({ lamports: PRO_LAMPORTS, memo: 'someone else' }), null);
+});
+
+test('matches payments without a memo by their unique invoice amount', async (t) => {
+  const { billing } = await setup(t);
+  const first = await billing.createInvoice('1', 'pro');
+  const second = await billing.createInvoice('2', 'pro');
+
+  assert.notStrictEqual(first.lamports, second.lamports);
+  assert.ok(first.lamports > PRO_LAMPORTS && second.lamports > PRO_LAMPORTS);
+  assert.deepStrictEqual(billing.matchPayment({ lamports: second.lamports }), { userId: '2', planId: 'pro', via: 'amount' });
+  assert.deepStrictEqual(billing.matchPayment({ lamports: first.lamports }), { userId: '1', planId: 'pro', via: 'amount' });
+  assert.strictEqual(billing.matchPayment({ lamports: PRO_LAMPORTS }), null);
+});
+
+test('does not match expired invoices', async (t) => {
+  const { billing } = await setup(t, { invoiceTtlMs: -1 });
+  const invoice = await billing.createInvoice('1', 'pro');
+
+  assert.strictEqual(billing.matchPayment({ lamports: invoice.lamports }), null);
+});
+
+test('credits each payment once and extends the same plan', async (t) => {
+  const { billing } = await setup(t);
+  assert.strictEqual(billing.getPlan('1').id, 'free');
+
+  const plan = await billing.recordPayment('1', 'pro', { signature: 'sig1', lamports: PRO_LAMPORTS, via: 'memo' });
+  assert.strictEqual(plan.id, 'pro');
+  assert.strictEqual(billing.getPlan('1').id, 'pro');
+
+  assert.strictEqual(await billing.recordPayment('1', 'pro', { signature: 'sig1', lamports: PRO_LAMPORTS, via: 'memo' }), null);
+
+  const renewed = await billing.recordPayment('1', 'pro', { signature: 'sig2', lamports: PRO_LAMPORTS, via: 'memo' });
+  assert.strictEqual(renewed.expiresAt - plan.expiresAt, 30 * 24 * 60 * 60 * 1000);
+});
+
+test('expires subscriptions back to the free plan', async (t) => {
+  const { storage, billing } = await setup(t);
+  await billing.recordPayment('1', 'pro', { signature: 'sig1', lamports: PRO_LAMPORTS, via: 'memo' });
+  assert.deepStrictEqual(await billing.expireSubscriptions(), []);
+
+  await storage.update('billing', (records) => { records[1].expiresAt = Date.now() - 1; });
+  assert.deepStrictEqual(await billing.expireSubscriptions(), [{ userId: '1', planId: 'pro' }]);
+  assert.strictEqual(billing.getPlan('1').id, 'free');
+});
+
+test('pauses the newest wallets over the plan limit and resumes them oldest first', () => {
+  const wallets = {
+    a: { active: true, created: '2024-01-01T00:00:00.000Z' },
+    b: { active: true, created: '2024-03-01T00:00:00.000Z' },
+    c: { active: false, created: '2024-02-01T00:00:00.000Z' },
+    d: { active: true, created: '2024-04-01T00:00:00.000Z' },
+    e: { active: true, created: '2024-02-15T00:00:00.000Z' }
+  };
+
+  assert.strictEqual(pauseWalletsOverLimit(wallets, PLANS.free.maxWallets), 2);
+  assert.deepStrictEqual(Object.keys(wallets).filter(id => wallets[id].active), ['a', 'e']);
+  assert.deepStrictEqual(Object.keys(wallets).filter(id => wallets[id].pausedByPlan), ['b', 'd']);
+  assert.strictEqual(pauseWalletsOverLimit(wallets, PLANS.free.maxWallets), 0);
+
+  assert.strictEqual(resumeWalletsWithinLimit(wallets, 3), 1);
+  assert.strictEqual(wallets.b.active, true);
+  assert.strictEqual(wallets.d.active, false);
+
+  // Wallets the owner paused themselves stay paused
+  assert.strictEqual(resumeWalletsWithinLimit(wallets, PLANS.pro.maxWallets), 1);
+  assert.strictEqual(wallets.c.active, false);
+  assert.strictEqual(pauseWalletsOverLimit(undefined, 1), 0);
+});
@@ -0,0 +1,81 @@
+// test/prices.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPriceService } = require('../prices');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test.afterEach(() => test.mock.restoreAll());
+
+// Provider that counts lookups and fails while `failing` is set
+function createCountingProvider(prices) {
+  const provider = {
+    calls: 0,
+    failing: false,
+    async fetchPrices(keys, currency) {
+      provider.calls += 1;
+      if (provider.failing) throw new Error('Request failed with status code 429');
+      return Object.fromEntries(keys.filter(key => prices[key]?.[currency] !== undefined).map(key => [key, prices[key][currency]]));
+    }
+  };
+  return provider;
+}
+
+test('values amounts with the stub provider, treating wSOL as SOL', async () => {
+  const prices = createPriceService({ provider: 'stub', stubPrices: { SOL: { usd: 150 }, [USDC_MINT]: { usd: 1 } } });
+
+  assert.strictEqual(await prices.getValue(null, 2, 'usd'), 300);
+  assert.strictEqual(await prices.getValue(WSOL_MINT, 1, 'usd'), 150);
+  assert.strictEqual(await prices.getValue(USDC_MINT, 25, 'usd'), 25);
+  assert.strictEqual(await prices.getValue('UnknownMint1111111111111111111111111111111', 1, 'usd'), null);
+  assert.strictEqual(await prices.getValue(null, 1, 'eur'), null);
+});
+
+test('defaults to no provider', async () => {
+  const prices = createPriceService();
+  assert.strictEqual(await prices.getPrice(null, 'usd'), null);
+});
+
+test('caches prices, including unknown ones, until the TTL runs out', async () => {
+  const provider = createCountingProvider({ SOL: { usd: 150 } });
+  const prices = createPriceService({ provider, ttlMs: 60000 });
+
+  await prices.getPrices([null, USDC_MINT], 'usd');
+  await prices.getPrices([null, USDC_MINT], 'usd');
+  assert.strictEqual(provider.calls, 1);
+
+  await prices.getPrices([null], 'eur');
+  assert.strictEqual(provider.calls, 2);
+});
+
+test('stops asking a failing provider during the cooldown and serves stale prices', async () => {
+  const provider = createCountingProvider({ SOL: { usd: 150 } });
+  const prices = createPriceService({ provider, ttlMs: 0, failureCooldownMs: 60000 });
+  test.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await prices.getPrice(null, 'usd'), 150);
+
+  provider.failing = true;
+  assert.strictEqual(await prices.getPrice(null, 'usd'), 150);
+  assert.strictEqual(provider.calls, 2);
+
+  // Cooling down: neither stale nor never-seen keys reach the provider
+  assert.strictEqual(await prices.getPrice(null, 'usd'), 150);
+  assert.strictEqual(await prices.getPrice(USDC_MINT, 'usd'), null);
+  assert.strictEqual(provider.calls, 2);
+});
+
+test('asks the provider again once the cooldown is over', async () => {
+  const provider = createCountingProvider({ SOL: { usd: 150 } });
+  const prices = createPriceService({ provider, ttlMs: 0, failureCooldownMs: 20 });
+  test.mock.method(console, 'error', () => {});
+
+  provider.failing = true;
+  assert.strictEqual(await prices.getPrice(null, 'usd'), null);
+
+  provider.failing = false;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(await prices.getPrice(null, 'usd'), 150);
+  assert.strictEqual(provider.calls, 2);
+});
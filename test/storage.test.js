@@ -0,0 +1,99 @@
+// test/storage.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createStorage, SCHEMA_VERSION } = require('../storage');
+
+// Keep the migration logs out of the test output
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+const ADDRESS = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+
+async function createDataDir(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+const writeJson = (dataDir, name, value) => fs.writeFile(path.join(dataDir, name), JSON.stringify(value));
+
+test('migrates the legacy v0 files to the current schema', async (t) => {
+  const dataDir = await createDataDir(t);
+  await writeJson(dataDir, 'wallets.json', {
+    42: {
+      w1: { address: ADDRESS, name: 'Whale', active: true },
+      system: { address: ADDRESS, name: 'System', active: true, forced: true }
+    }
+  });
+  await writeJson(dataDir, 'addressbook.json', { 42: { [ADDRESS]: 'Exchange' } });
+  await writeJson(dataDir, 'counterparties.json', { [ADDRESS]: { other: '2024-01-01T00:00:00.000Z' } });
+  await writeJson(dataDir, 'cursors.json', {
+    'w1:42': { address: ADDRESS, signature: 'older', slot: 10 },
+    'w1:43': { address: ADDRESS, signature: 'newer', slot: 20 }
+  });
+
+  const storage = createStorage({ dataDir });
+  await storage.init();
+
+  assert.deepStrictEqual(storage.get('wallets'), { 42: { w1: { address: ADDRESS, name: 'Whale', active: true } } });
+  assert.deepStrictEqual(storage.get('addressBook', '42'), { [ADDRESS]: 'Exchange' });
+  assert.deepStrictEqual(storage.get('seenCounterparties', ADDRESS), { other: '2024-01-01T00:00:00.000Z' });
+  assert.deepStrictEqual(storage.get('cursors'), { [ADDRESS]: { address: ADDRESS, signature: 'newer', slot: 20 } });
+  for (const name of ['history', 'settings', 'clusters', 'billing', 'config', 'balanceAlerts', 'outbox']) {
+    assert.deepStrictEqual(storage.get(name), {});
+  }
+
+  const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'store.json'), 'utf8'));
+  assert.strictEqual(saved.version, SCHEMA_VERSION);
+  assert.strictEqual(saved.cursors, undefined);
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'store.cursors.json'), 'utf8')), storage.get('cursors'));
+});
+
+test('refuses a document from a newer schema', async (t) => {
+  const dataDir = await createDataDir(t);
+  await writeJson(dataDir, 'store.json', { version: SCHEMA_VERSION + 1 });
+
+  await assert.rejects(createStorage({ dataDir }).init(), /newer than this bot/);
+});
+
+for (const backend of ['json', 'sqlite']) {
+  test(`${backend} backend: round-trips updates across restarts`, async (t) => {
+    const dataDir = await createDataDir(t);
+    const storage = createStorage({ backend, dataDir });
+    await storage.init();
+
+    const result = await storage.update('wallets', (wallets) => {
+      wallets[42] = { w1: { address: ADDRESS, name: 'Whale' } };
+      return 'added';
+    });
+    assert.strictEqual(result, 'added');
+    await storage.update('cursors', (cursors) => { cursors[ADDRESS] = { signature: 'sig1', slot: 1 }; });
+    await storage.flush();
+
+    // Reads are copies: changing one doesn't change the stored document
+    storage.get('wallets', '42').w1.name = 'Changed';
+    assert.strictEqual(storage.peek('wallets', '42').w1.name, 'Whale');
+
+    const reopened = createStorage({ backend, dataDir });
+    await reopened.init();
+    assert.deepStrictEqual(reopened.get('wallets'), { 42: { w1: { address: ADDRESS, name: 'Whale' } } });
+    assert.deepStrictEqual(reopened.get('cursors', ADDRESS), { signature: 'sig1', slot: 1 });
+  });
+}
+
+test('writes hot collections behind until flushed', async (t) => {
+  const dataDir = await createDataDir(t);
+  const storage = createStorage({ dataDir });
+  await storage.init();
+
+  await storage.update('cursors', (cursors) => { cursors[ADDRESS] = { signature: 'sig1', slot: 1 }; });
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'store.cursors.json'), 'utf8')), {});
+
+  await storage.flush();
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'store.cursors.json'), 'utf8')), {
+    [ADDRESS]: { signature: 'sig1', slot: 1 }
+  });
+});
@@ -0,0 +1,132 @@
+// test/subscriptions.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { createLogSubscriber } = require('../subscriptions');
+
+const ADDRESS = 'So11111111111111111111111111111111111111112';
+
+// Keep the subscriber's connection logs out of the test output
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+const waitFor = async (condition, timeout = 2000) => {
+  const until = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > until) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+// Mock Solana RPC WebSocket: records requests and answers them when `respond()` is called
+async function createMockRpc() {
+  const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const requests = [];
+  let client = null;
+  let nextSubscription = 1;
+
+  server.on('connection', (socket) => {
+    client = socket;
+    socket.on('message', (raw) => requests.push(JSON.parse(raw)));
+  });
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    requests,
+    subscribes: () => requests.filter(request => request.method === 'logsSubscribe'),
+
+    respond(request) {
+      const result = request.method === 'logsSubscribe' ? nextSubscription++ : true;
+      client.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+      return result;
+    },
+
+    notify(subscription, signature) {
+      client.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'logsNotification',
+        params: { subscription, result: { context: { slot: 1 }, value: { signature, err: null } } }
+      }));
+    },
+
+    close() {
+      for (const socket of server.clients) socket.terminate();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+async function startSubscriber(rpc, onLogs = () => {}) {
+  let connected = false;
+  const subscriber = createLogSubscriber({
+    url: rpc.url,
+    onLogs,
+    onStatusChange: (value) => { connected = value; }
+  });
+  subscriber.start();
+  await waitFor(() => connected);
+  return subscriber;
+}
+
+test('delivers notifications for subscribed addresses', async () => {
+  const rpc = await createMockRpc();
+  const notifications = [];
+  const subscriber = await startSubscriber(rpc, (address, logs) => notifications.push({ address, ...logs }));
+
+  subscriber.setAddresses([ADDRESS]);
+  await waitFor(() => rpc.subscribes().length === 1);
+  const subscription = rpc.respond(rpc.subscribes()[0]);
+  await waitFor(() => subscriber.isSubscribed(ADDRESS));
+
+  rpc.notify(subscription, 'sig1');
+  await waitFor(() => notifications.length === 1);
+  assert.deepStrictEqual(notifications[0], { address: ADDRESS, signature: 'sig1', slot: 1, err: null });
+
+  subscriber.stop();
+  await rpc.close();
+});
+
+test('does not subscribe twice when an address is re-added while its subscribe is in flight', async () => {
+  const rpc = await createMockRpc();
+  const notifications = [];
+  const subscriber = await startSubscriber(rpc, (address, logs) => notifications.push(logs.signature));
+
+  subscriber.setAddresses([ADDRESS]);
+  subscriber.setAddresses([]);
+  subscriber.setAddresses([ADDRESS]);
+  await waitFor(() => rpc.subscribes().length === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(rpc.subscribes().length, 1);
+
+  const subscription = rpc.respond(rpc.subscribes()[0]);
+  await waitFor(() => subscriber.isSubscribed(ADDRESS));
+  assert.strictEqual(rpc.requests.filter(request => request.method === 'logsUnsubscribe').length, 0);
+
+  rpc.notify(subscription, 'sig1');
+  await waitFor(() => notifications.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(notifications, ['sig1']);
+
+  subscriber.stop();
+  await rpc.close();
+});
+
+test('unsubscribes when the address was removed before the subscribe was confirmed', async () => {
+  const rpc = await createMockRpc();
+  const subscriber = await startSubscriber(rpc);
+
+  subscriber.setAddresses([ADDRESS]);
+  await waitFor(() => rpc.subscribes().length === 1);
+  subscriber.setAddresses([]);
+
+  const subscription = rpc.respond(rpc.subscribes()[0]);
+  await waitFor(() => rpc.requests.some(request => request.method === 'logsUnsubscribe'));
+  const unsubscribe = rpc.requests.find(request => request.method === 'logsUnsubscribe');
+  assert.deepStrictEqual(unsubscribe.params, [subscription]);
+  assert.strictEqual(subscriber.isSubscribed(ADDRESS), false);
+
+  subscriber.stop();
+  await rpc.close();
+});
@@ -0,0 +1,111 @@
+// test/webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createWebhookSender, createWebhookSecret } = require('../webhooks');
+
+const WALLET = { name: 'Whale', address: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1' };
+const EVENT = {
+  type: 'transfer',
+  wallet: WALLET,
+  data: { signature: 'sig1', uiAmount: 1.5 },
+  text: '📥 **Whale** Transaction Alert!\n\n💰 Amount: 1.5 SOL received',
+  url: 'https://solscan.io/tx/sig1'
+};
+
+// Local stand-in for a webhook receiver: answers with `statuses` in turn, then 200
+async function createReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[requests.length - 1] || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const localSender = (options) => createWebhookSender({ allowedHosts: ['127.0.0.1'], ...options });
+
+test('signs HTTP webhooks with HMAC-SHA256 over timestamp and body', async () => {
+  const receiver = await createReceiver();
+  const secret = createWebhookSecret();
+
+  await localSender().send({ type: 'http', url: receiver.url, secret }, EVENT);
+
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.strictEqual(headers['x-webhook-event'], 'transfer');
+
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'transfer');
+  assert.deepStrictEqual(payload.wallet, WALLET);
+  assert.deepStrictEqual(payload.transfer, EVENT.data);
+  await receiver.close();
+});
+
+test('formats Discord and Slack payloads', async () => {
+  const receiver = await createReceiver();
+  const sender = localSender();
+
+  await sender.send({ type: 'discord', url: receiver.url }, EVENT);
+  await sender.send({ type: 'slack', url: receiver.url }, EVENT);
+
+  const discord = JSON.parse(receiver.requests[0].body);
+  assert.strictEqual(discord.embeds[0].title, 'Whale');
+  assert.strictEqual(discord.embeds[0].description, EVENT.text);
+  assert.strictEqual(discord.embeds[0].url, EVENT.url);
+  assert.strictEqual(discord.embeds[0].footer.text, WALLET.address);
+  assert.strictEqual(receiver.requests[0].headers['x-webhook-signature'], undefined);
+
+  const slack = JSON.parse(receiver.requests[1].body);
+  assert.strictEqual(slack.text, 'Whale: 📥 Whale Transaction Alert!');
+  assert.match(slack.blocks[0].text.text, /^📥 \*Whale\* Transaction Alert!/);
+  assert.match(slack.blocks[0].text.text, /<https:\/\/solscan\.io\/tx\/sig1\|View on Solscan>$/);
+  await receiver.close();
+});
+
+test('retries server errors and gives up on other client errors', async () => {
+  const retried = await createReceiver([503]);
+  await localSender({ maxAttempts: 2 }).send({ type: 'discord', url: retried.url }, EVENT);
+  assert.strictEqual(retried.requests.length, 2);
+  await retried.close();
+
+  const rejected = await createReceiver([400]);
+  await assert.rejects(localSender({ maxAttempts: 2 }).send({ type: 'discord', url: rejected.url }, EVENT), /400/);
+  assert.strictEqual(rejected.requests.length, 1);
+  await rejected.close();
+
+  const exhausted = await createReceiver([500, 500]);
+  await assert.rejects(localSender({ maxAttempts: 2 }).send({ type: 'discord', url: exhausted.url }, EVENT), /500/);
+  assert.strictEqual(exhausted.requests.length, 2);
+  await exhausted.close();
+});
+
+test('refuses private and local addresses unless allowed', async () => {
+  const receiver = await createReceiver();
+  const sender = createWebhookSender();
+
+  await assert.rejects(sender.send({ type: 'discord', url: receiver.url }, EVENT), { code: 'EPRIVATEADDRESS' });
+  await assert.rejects(sender.send({ type: 'discord', url: receiver.url.replace('127.0.0.1', 'localhost') }, EVENT), { code: 'EPRIVATEADDRESS' });
+  assert.strictEqual(receiver.requests.length, 0);
+
+  assert.match(await sender.checkUrl('http://169.254.169.254/latest/meta-data'), /private or local/);
+  assert.match(await sender.checkUrl('http://[::1]:8080/'), /private or local/);
+  assert.match(await sender.checkUrl('http://10.1.2.3/'), /private or local/);
+  assert.match(await sender.checkUrl('http://localhost/'), /private or local/);
+  assert.strictEqual(await sender.checkUrl('https://93.184.215.14/hook'), null);
+  assert.strictEqual(await localSender().checkUrl(receiver.url), null);
+  await receiver.close();
+});
@@ -0,0 +1,171 @@
+// webhooks.js
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_TYPES = ['http', 'discord', 'slack'];
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const DISCORD_COLORS = { transfer: 0x3498db, swap: 0x2ecc71, cluster: 0xe67e22, test: 0x95a5a6 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private, link-local and other non-public ranges. Chat admins pick webhook URLs, so
+// without this the bot could be pointed at the operator's own network or cloud metadata.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(hostname) {
+  const error = new Error(`${hostname} is a private or local address`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+// An event is { type, wallet: { name, address }, data, text, url }: `data` is the raw object
+// (e.g. the transfer from analyzeSolTransaction), `text` the alert as sent to Telegram.
+// Cluster events have no wallet address.
+
+// HMAC-SHA256 over `${timestamp}.${body}`, so receivers can also reject replayed requests
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const FORMATTERS = {
+  http: (event) => ({
+    event: event.type,
+    wallet: event.wallet,
+    [event.type]: event.data,
+    sentAt: new Date().toISOString()
+  }),
+
+  discord: (event) => ({
+    embeds: [{
+      title: event.wallet.name,
+      description: event.text,
+      url: event.url,
+      color: DISCORD_COLORS[event.type],
+      footer: event.wallet.address ? { text: event.wallet.address } : undefined,
+      timestamp: new Date().toISOString()
+    }]
+  }),
+
+  // Slack mrkdwn bolds with single asterisks
+  slack: (event) => {
+    const text = event.text.replace(/\*\*/g, '*') + (event.url ? `\n<${event.url}|View on Solscan>` : '');
+    return {
+      text: `${event.wallet.name}: ${event.text.split('\n')[0].replace(/\*\*/g, '')}`,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    };
+  }
+};
+
+// Retry-After header in seconds, or Discord's `retry_after` in the JSON body
+function retryAfterMs(response) {
+  const header = Number(response?.headers?.['retry-after']);
+  if (header > 0) return header * 1000;
+  const body = Number(response?.data?.retry_after);
+  return body > 0 ? body * 1000 : 0;
+}
+
+// Posts events to webhooks, retrying network errors, 429s and 5xx with exponential backoff.
+// Rejects once the attempts run out or the receiver answers with any other 4xx.
+//
+// Private and local addresses are refused, both as literal hosts and as DNS answers at connect
+// time (so a hostname can't be re-pointed after it was checked), unless the host is listed in
+// `allowedHosts`. Redirects aren't followed.
+function createWebhookSender({ timeout = 10000, maxAttempts = 4, allowedHosts = [] } = {}) {
+  const isAllowed = (hostname) => allowedHosts.includes(hostname);
+
+  // Connect-time DNS check; Node may ask for one address or for all of them
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (!isAllowed(hostname) && addresses.some(isPrivateAddress)) return callback(privateAddressError(hostname));
+      callback(null, address, family);
+    });
+  }
+
+  const client = axios.create({
+    timeout,
+    maxRedirects: 0,
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  });
+
+  // Why `url` can't be used as a webhook, or null
+  async function checkUrl(url) {
+    let hostname;
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return 'Only http:// and https:// URLs are supported';
+      hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    } catch {
+      return 'Not a valid URL';
+    }
+    if (isAllowed(hostname)) return null;
+
+    try {
+      const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+      return addresses.some(isPrivateAddress) ? privateAddressError(hostname).message : null;
+    } catch (error) {
+      return `Cannot resolve ${hostname}`;
+    }
+  }
+
+  async function send(hook, event) {
+    // IP literals never reach the lookup
+    const hostname = new URL(hook.url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isAllowed(hostname) && isPrivateAddress(hostname)) throw privateAddressError(hostname);
+
+    const body = JSON.stringify(FORMATTERS[hook.type](event));
+    const headers = { 'Content-Type': 'application/json' };
+    if (hook.type === 'http') {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-Webhook-Event'] = event.type;
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Signature'] = `sha256=${signPayload(hook.secret, timestamp, body)}`;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await client.post(hook.url, body, { headers });
+        return;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = error.code !== 'EPRIVATEADDRESS' && (!status || status === 429 || status >= 500);
+        if (!retryable || attempt >= maxAttempts) throw error;
+
+        const backoff = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+        await sleep(Math.min(Math.max(backoff, retryAfterMs(error.response)), RETRY_MAX_DELAY));
+      }
+    }
+  }
+
+  return { send, checkUrl };
+}
+
+function createWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+module.exports = { createWebhookSender, createWebhookSecret, WEBHOOK_TYPES };